@@ -3,13 +3,108 @@ import extend from 'extend';
 import Vector from '../geometry/Vector';
 import * as Vertices from '../geometry/Vertices';
 import * as Bounds from '../geometry/Bounds';
+import * as Circle from '../geometry/Circle';
+import Material, { PROPERTIES as MATERIAL_PROPERTIES } from '../materials/Material';
 
 export const VERTICES = Symbol('vertices');
 export const POSITION = Symbol('position');
 export const ANGLE = Symbol('angle');
 export const ISSTATIC = Symbol('isStatic');
+export const ISKINEMATIC = Symbol('isKinematic');
 export const ISTRIGGER = Symbol('isTrigger');
 export const ISSLEEPING = Symbol('isSleeping');
+export const MOTION = Symbol('motion');
+export const SLEEPING_COUNT = Symbol('sleepingCount');
+export const RADIUS = Symbol('radius');
+export const PARTS = Symbol('parts');
+export const MATERIAL = Symbol('material');
+export const STEP_STATE = Symbol('stepState');
+
+/**
+ *    Returns a boolean value indicating whether a body can fall asleep.
+ *    Static and kinematic bodies never sleep, and they do not connect
+ *    the bodies touching them in the same island.
+ *    @param  {Body} body - Body to test.
+ *    @return {boolean} `true` if the body can fall asleep, `false` otherwise.
+ */
+export const canSleep = (body) => !(body.isStatic || body.isKinematic);
+
+/**
+ *    Creates a material from its description, or returns the one already created
+ *    from an equal description.
+ *    @param  {object} json - Description of the material.
+ *    @param  {Map} materials - Materials already created, by description.
+ *    @return {Material} The material.
+ */
+const loadMaterial = (json, materials) => {
+    const key = JSON.stringify(json);
+    if (!materials.has(key)) {
+        materials.set(key, new Material(json));
+    }
+    return materials.get(key);
+};
+
+// Every body gets an unique id
+let nextId = 0;
+
+// Computes the bounds of the body from its current geometry
+const computeBounds = (body) => {
+    if (body[PARTS].length > 0) {
+        return Bounds.union(body[PARTS].map(p => p.bounds));
+    } else if (body[RADIUS] > 0) {
+        return Bounds.fromCircle(body[POSITION], body[RADIUS]);
+    } else {
+        return Bounds.fromVertices(body[VERTICES]);
+    }
+};
+
+// Computes the mass of a non static body
+const computeMass = (body) => {
+    if (body[PARTS].length > 0) {
+        return body[PARTS].reduce((mass, p) => mass + p.mass, 0);
+    } else {
+        return body.density * body.area;
+    }
+};
+
+// Center of mass of a convex part, in world coordinates.
+// The part is split in a fan of triangles, whose centroids are just the mean of their vertices.
+// Note that we do not use `Vertices.centroid`, because the inertia of the bodies is tuned
+// on its results, which are not accurate enough to place the parts.
+const partCentroid = (part) => {
+    if (part.isCircle) {
+        return part.position;
+    }
+    const vertices = part.vertices || part;
+    let center = new Vector(0, 0);
+    let totalArea = 0;
+    for (let i = 1; i < vertices.length - 1; i++) {
+        const edge1 = vertices[i].sub(vertices[0]);
+        const edge2 = vertices[i + 1].sub(vertices[0]);
+        const a = Math.abs(edge1.cross(edge2)) / 2;
+        center = center.add(vertices[0].add(vertices[i]).add(vertices[i + 1]).scalar(a / 3));
+        totalArea = totalArea + a;
+    }
+    return center.scalar(1 / totalArea);
+};
+
+// Copies a vector, since some vectors are changed in place
+const copy = (v) => new Vector(v.x, v.y);
+
+// Copies the values of the render options which can be represented in JSON.
+// Images, patterns and custom drawing functions are left out.
+const renderToJSON = (render) => {
+    const json = {};
+    for (const k of Object.keys(render)) {
+        const value = render[k];
+        if (Array.isArray(value)) {
+            json[k] = value.slice();
+        } else if ([ 'number', 'string', 'boolean' ].includes(typeof value)) {
+            json[k] = value;
+        }
+    }
+    return json;
+};
 
 /**
  *    Body involved in a physical simulation.
@@ -24,8 +119,10 @@ export default class Body extends EventEmitter {
     constructor(options) {
         super();
 
+        // The properties given by the material can be overridden by the options
         options = extend({
             vertices: [],
+            radius: 0,
             position: new Vector(0, 0),
             previousPosition: new Vector(0, 0),
             velocity: new Vector(0, 0),
@@ -36,14 +133,37 @@ export default class Body extends EventEmitter {
             torque: 0,
             density: 0.001,
             isStatic: false,
+            isKinematic: false,
             isTrigger: false,
             isParticle: false,
+            isBullet: false,
             ttl: 60 * 3,
             slop: 0.05,
             restitution: 0.5,
             friction: 0.1,
-            frictionAir: 0.01
-        }, options);
+            staticFriction: null,
+            rollingFriction: 0,
+            frictionAir: 0.01,
+            restingThreshold: 6,
+            positionIterations: null,
+            velocityIterations: null
+        }, options && options.material, options);
+
+        // The collision filter can be given partially, so merge it with the defaults
+        options.collisionFilter = extend({
+            category: 0x0001,
+            mask: 0xFFFFFFFF,
+            group: 0
+        }, options.collisionFilter);
+
+        // The id is assigned immediately, so that the ids of the bodies
+        // created during the construction of this one (like its parts) will not clash
+        this.id = typeof options.id === 'number' ? options.id : nextId;
+        nextId = Math.max(nextId, this.id + 1);
+
+        // Bodies which are parts of another body keep a reference to it
+        this.parent = null;
+        this[PARTS] = [];
 
         // Properties must be set in order to make sure that the user can override
         // autocomputed values like area and mass
@@ -53,11 +173,15 @@ export default class Body extends EventEmitter {
             'density',
             'position',
             'vertices',
+            'radius',
+            'parts',
             'velocity',
             'force',
             'isStatic',
+            'isKinematic',
             'isTrigger',
             'isParticle',
+            'isBullet',
             'ttl',
             'angularVelocity',
             'angle',
@@ -65,7 +189,13 @@ export default class Body extends EventEmitter {
             'slop',
             'restitution',
             'friction',
+            'staticFriction',
+            'rollingFriction',
             'frictionAir',
+            'restingThreshold',
+            'positionIterations',
+            'velocityIterations',
+            'collisionFilter',
             'render',
 
             // Overrides of computed values
@@ -85,6 +215,9 @@ export default class Body extends EventEmitter {
         // A body is always awake when created
         this[ISSLEEPING] = false;
 
+        // The properties of the material are already set
+        this[MATERIAL] = options.material || null;
+
     }
 
     get vertices() {
@@ -97,6 +230,27 @@ export default class Body extends EventEmitter {
         // we want them to be in world coordinates
         vertices = vertices.map(v => v.add(this.position));
 
+        // Collision detection works only with convex shapes,
+        // so a concave body is decomposed into convex parts.
+        // The vertices are kept only to describe the outline of the body.
+        // Bodies with a negative id are not part of the simulation (like the shapes
+        // of the queries), so their parts must not take ids from it either.
+        if (vertices.length > 3 && !Vertices.isConvex(vertices)) {
+            this[VERTICES] = vertices;
+            this.axes = [];
+            this.parts = Vertices.decompose(vertices).map(part => {
+                const centroid = partCentroid(part);
+                return new Body({
+                    id: this.id < 0 ? this.id : null,
+                    position: centroid,
+                    vertices: part.map(v => v.sub(centroid)),
+                    density: this.density
+                });
+            });
+            return;
+        }
+        this[PARTS] = [];
+
         // Compute area from the new vertices
         this.area = Vertices.area(vertices);
 
@@ -129,6 +283,113 @@ export default class Body extends EventEmitter {
         this[VERTICES] = vertices;
     }
 
+    /**
+     *    Radius of the body.
+     *    If greater than `0`, the body is a circle centered in its position,
+     *    and its vertices are ignored.
+     *    @type {number}
+     */
+    get radius() {
+        return this[RADIUS];
+    }
+
+    set radius(radius) {
+        this[RADIUS] = radius;
+        if (!(radius > 0)) {
+            return;
+        }
+
+        // A circle has no vertices nor axes: the collision detection handles it separately
+        this[VERTICES] = [];
+        this[PARTS] = [];
+        this.axes = [];
+
+        // Compute area, mass and inertia
+        this.area = Circle.area(radius);
+        this.mass = this.density * this.area;
+        this.invMass = 1 / this.mass;
+        this.centroid = this.position;
+        this.inertia = Circle.inertia(radius, this.mass);
+        this.invInertia = 1 / this.inertia;
+
+        this.bounds = computeBounds(this);
+    }
+
+    /**
+     *    `true` if this body is a circle, `false` if it is a polygon.
+     *    @type {boolean}
+     */
+    get isCircle() {
+        return this[RADIUS] > 0;
+    }
+
+    /**
+     *    Convex parts composing this body.
+     *    The parts are rigidly attached to this body, which is the only one taking part
+     *    in the simulation: the parts are used only for collision detection,
+     *    and only their geometry and mass are relevant.
+     *    The array is empty if the body is made of a single convex shape.
+     *
+     *    When setting this property, the parts must be given in world coordinates.
+     *    Parts which are compound bodies themselves are replaced by their own parts.
+     *    The mass, centroid and inertia of this body are computed from the parts,
+     *    and its position is moved to the center of mass.
+     *    @type {Body[]}
+     */
+    get parts() {
+        return this[PARTS];
+    }
+
+    set parts(parts) {
+        parts = [].concat(...parts.map(p => p.isCompound ? p.parts : [p]));
+        this[PARTS] = parts;
+        if (parts.length === 0) {
+            return;
+        }
+
+        // The geometry of a compound body is the one of its parts
+        this[RADIUS] = 0;
+        this.axes = [];
+
+        // The properties of the body are just the sum of the ones of the parts
+        let center = new Vector(0, 0);
+        this.area = 0;
+        this.mass = 0;
+        for (const p of parts) {
+            p.parent = this;
+            this.area = this.area + p.area;
+            this.mass = this.mass + p.mass;
+            center = center.add(partCentroid(p).scalar(p.mass));
+        }
+        this.invMass = 1 / this.mass;
+        this.centroid = center.scalar(1 / this.mass);
+
+        // The inertia of each part must be moved to the center of mass of the body.
+        // The offset term gets the same scale as the inertia of the single shapes.
+        this.inertia = 0;
+        for (const p of parts) {
+            const offset = partCentroid(p).sub(this.centroid).lengthSquared();
+            this.inertia = this.inertia + p.inertia + Vertices.INERTIA_SCALE * p.mass * offset;
+        }
+        this.invInertia = 1 / this.inertia;
+
+        // The body rotates around its position, so it must be the center of mass.
+        // Note that the geometry is not moved, only the reference point.
+        const delta = this.centroid.sub(this.position);
+        this[POSITION] = this.centroid;
+        this.previousPosition = this.previousPosition.add(delta);
+
+        this.bounds = computeBounds(this);
+    }
+
+    /**
+     *    `true` if this body is made of more than one convex part, `false` otherwise.
+     *    @type {boolean}
+     */
+    get isCompound() {
+        return this[PARTS].length > 0;
+    }
+
     get position() {
         return this[POSITION];
     }
@@ -137,14 +398,11 @@ export default class Body extends EventEmitter {
 
         // Update the position of the vertices
         const delta = p.sub(this[POSITION] || new Vector(0, 0));
-        if (this[VERTICES]) {
-            this[VERTICES] = this[VERTICES].map(v => v.add(delta));
-        }
+        this.translate(delta);
 
         // Do not change velocity
         this.previousPosition = this.previousPosition.add(delta);
 
-        this[POSITION] = p;
     }
 
     get angle() {
@@ -155,16 +413,11 @@ export default class Body extends EventEmitter {
         const deltaAngle = v - (this[ANGLE] || 0);
 
         // Rotates the geometry of the body
-        if (deltaAngle !== 0) {
-            Vertices.rotate(this[VERTICES], deltaAngle, this[POSITION]);
-            this.axes = this.axes.map(a => a.rotate(deltaAngle));
-            this.bounds = Bounds.fromVertices(this[VERTICES]);
-        }
+        this.rotate(deltaAngle);
 
         // Do not change angular velocity
         this.previousAngle += deltaAngle;
 
-        this[ANGLE] = v;
     }
 
     get isStatic() {
@@ -177,11 +430,35 @@ export default class Body extends EventEmitter {
             this.mass = Infinity;
             this.invMass = 0;
         } else {
-            this.mass = this.density * this.area;
+            this.mass = computeMass(this);
             this.invMass = 1 / this.mass;
         }
     }
 
+    /**
+     *    A kinematic body moves with its own velocity, like a body with no forces
+     *    and no air friction, but it is not affected by forces, collisions and constraints,
+     *    as if it had an infinite mass. Bodies touching it are carried along.
+     *    Its velocity can be changed with `setVelocity` and `setAngularVelocity`.
+     *    @type {boolean}
+     */
+    get isKinematic() {
+        return this[ISKINEMATIC];
+    }
+
+    set isKinematic(v) {
+        this[ISKINEMATIC] = v;
+        if (v) {
+            this.mass = Infinity;
+            this.invMass = 0;
+            this.invInertia = 0;
+        } else if (!this.isStatic) {
+            this.mass = computeMass(this);
+            this.invMass = 1 / this.mass;
+            this.invInertia = 1 / this.inertia;
+        }
+    }
+
     get isTrigger() {
         return this[ISTRIGGER];
     }
@@ -197,8 +474,233 @@ export default class Body extends EventEmitter {
         return this[ISSLEEPING];
     }
 
+    /**
+     *    Material of this body, or `null`. When set, the density, friction and restitution
+     *    of the body (and of its parts) are set to the ones of the material,
+     *    and the mass and the inertia are computed again.
+     *    @type {Material}
+     */
+    get material() {
+        return this[MATERIAL];
+    }
+
+    set material(material) {
+        this[MATERIAL] = material;
+        if (!material) {
+            return;
+        }
+        const { density } = this;
+        for (const p of this[PARTS]) {
+            p.material = material;
+        }
+        for (const k of MATERIAL_PROPERTIES) {
+            this[k] = material[k];
+        }
+
+        // Mass and inertia are proportional to the density,
+        // but static and kinematic bodies must keep an infinite mass
+        this.mass = computeMass(this);
+        this.invMass = 1 / this.mass;
+        this.inertia = this.inertia * this.density / density;
+        this.invInertia = 1 / this.inertia;
+        this.isStatic = this[ISSTATIC];
+        this.isKinematic = this[ISKINEMATIC];
+    }
+
+    /**
+     *    Puts this body asleep, zeroing its velocities. A sleeping body does not move
+     *    until it's woken up, by the user or by the engine when something hits it.
+     *    Note that the engine puts asleep and wakes up together all the bodies touching
+     *    each other, so a body put asleep while touching awake bodies is woken up again.
+     *    Static and kinematic bodies never sleep.
+     *    Fires the event `sleepEnter` if the body was awake.
+     *    @return {void}
+     */
+    sleep() {
+        if (this[ISSLEEPING] || !canSleep(this)) {
+            return;
+        }
+        this[ISSLEEPING] = true;
+        this.previousPosition = this.position;
+        this.previousAngle = this.angle;
+        this.velocity = new Vector(0, 0);
+        this.angularVelocity = 0;
+        this[MOTION] = 0;
+        this.emit('sleepEnter');
+    }
+
+    /**
+     *    Wakes up this body. The engine wakes up also all the bodies touching it.
+     *    Fires the event `sleepExit` if the body was sleeping.
+     *    @return {void}
+     */
+    wake() {
+        if (!this[ISSLEEPING]) {
+            return;
+        }
+        this[ISSLEEPING] = false;
+        this[SLEEPING_COUNT] = 0;
+        this.emit('sleepExit');
+    }
+
     get shouldUpdate() {
-        return !(this.isStatic || this[ISSLEEPING]);
+        return !(this.isStatic || this.isKinematic || this[ISSLEEPING]);
+    }
+
+    /**
+     *    Sets the velocity of this body, that is the distance it will move in the next step
+     *    (before forces and collisions), changing its previous position accordingly.
+     *    @param  {Vector} velocity - The new velocity.
+     *    @return {void}
+     */
+    setVelocity(velocity) {
+        this.previousPosition = this.position.sub(velocity);
+        this.velocity = copy(velocity);
+    }
+
+    /**
+     *    Sets the angular velocity of this body, that is the angle it will rotate of
+     *    in the next step, changing its previous angle accordingly.
+     *    @param  {number} angularVelocity - The new angular velocity (in radians).
+     *    @return {void}
+     */
+    setAngularVelocity(angularVelocity) {
+        this.previousAngle = this.angle - angularVelocity;
+        this.angularVelocity = angularVelocity;
+    }
+
+    /**
+     *    Moves the body of the given offset.
+     *    Note that the previous position is not changed, so this will also affect the velocity.
+     *    @param  {Vector} delta - Offset to move the body of.
+     *    @return {void}
+     */
+    translate(delta) {
+        if (this[VERTICES] && (delta.x !== 0 || delta.y !== 0)) {
+            for (const p of this[PARTS]) {
+                p.translate(delta);
+            }
+            this[VERTICES] = this[VERTICES].map(v => v.add(delta));
+            this.bounds = Bounds.translate(this.bounds, delta);
+        }
+        this[POSITION] = (this[POSITION] || new Vector(0, 0)).add(delta);
+    }
+
+    /**
+     *    Rotates the body of the given angle.
+     *    Note that the previous angle is not changed,
+     *    so this will also affect the angular velocity.
+     *    @param  {number} deltaAngle - Angle (in radians) to rotate the body of.
+     *    @param  {Vector} [point] - Center of the rotation. Defaults to the position of the body.
+     *    @return {void}
+     */
+    rotate(deltaAngle, point = this[POSITION]) {
+        if (deltaAngle !== 0) {
+
+            // The parts rotate around the position of this body
+            for (const p of this[PARTS]) {
+                p.rotate(deltaAngle, point);
+            }
+
+            if (point !== this[POSITION]) {
+                const positions = [this[POSITION]];
+                Vertices.rotate(positions, deltaAngle, point);
+                this[POSITION] = positions[0];
+            }
+
+            Vertices.rotate(this[VERTICES], deltaAngle, point);
+            this.axes = this.axes.map(a => a.rotate(deltaAngle));
+            this.bounds = computeBounds(this);
+        }
+        this[ANGLE] = (this[ANGLE] || 0) + deltaAngle;
+    }
+
+    /**
+     *    Scales the body of the given factors.
+     *    Area, mass and inertia are computed again from the new geometry, while the velocity
+     *    of the body is not changed. Circles must stay circles, so they are scaled
+     *    of the mean of the two factors.
+     *    @param  {number} scaleX - Scale factor along the X axis.
+     *    @param  {number} [scaleY] - Scale factor along the Y axis. Defaults to `scaleX`.
+     *    @param  {Vector} [point] - Center of the scaling. Defaults to the position of the body.
+     *    @return {void}
+     */
+    scale(scaleX, scaleY = scaleX, point = this[POSITION]) {
+
+        const scalePoint = (v) => new Vector(
+            point.x + (v.x - point.x) * scaleX,
+            point.y + (v.y - point.y) * scaleY
+        );
+
+        if (this.isCompound) {
+
+            // The parts are scaled around the same point,
+            // then the properties of the body are computed again from them
+            const outline = this[VERTICES].map(scalePoint);
+            for (const p of this[PARTS]) {
+                p.scale(scaleX, scaleY, point);
+            }
+            this.parts = this[PARTS];
+            this[VERTICES] = outline;
+
+        } else if (this.isCircle) {
+
+            this.position = scalePoint(this[POSITION]);
+            this.radius = this[RADIUS] * (Math.abs(scaleX) + Math.abs(scaleY)) / 2;
+
+        } else {
+
+            // Vertices are set relative to the position, so the position must be moved first
+            const vertices = this[VERTICES].map(scalePoint);
+            const position = scalePoint(this[POSITION]);
+            this.previousPosition = this.previousPosition.add(position.sub(this[POSITION]));
+            this[POSITION] = position;
+            this.vertices = vertices.map(v => v.sub(position));
+
+        }
+
+        // The mass has been computed again, but static and kinematic bodies
+        // must keep an infinite one
+        this.isStatic = this[ISSTATIC];
+        this.isKinematic = this[ISKINEMATIC];
+
+    }
+
+    /**
+     *    Converts a point from the local space of this body to world coordinates.
+     *    @param  {Vector} point - Point relative to the position of the body, when not rotated.
+     *    @return {Vector} The same point in world coordinates.
+     */
+    toWorld(point) {
+        return point.rotate(this.angle).add(this.position);
+    }
+
+    /**
+     *    Converts a point from world coordinates to the local space of this body.
+     *    @param  {Vector} point - Point in world coordinates.
+     *    @return {Vector} The same point relative to the position of the body, when not rotated.
+     */
+    toLocal(point) {
+        return point.sub(this.position).rotate(-this.angle);
+    }
+
+    /**
+     *    Returns the position and the angle of this body blended between the ones it had
+     *    at the beginning of the last update of the engine and the current ones.
+     *    This is useful to draw smooth movements when the steps do not match the frames.
+     *    @param  {number} alpha - Blending factor: `0` for the beginning of the last update,
+     *    `1` for the current state.
+     *    @return {object} Object with properties `position` and `angle`.
+     */
+    interpolate(alpha) {
+        const state = this[STEP_STATE];
+        if (!state || alpha >= 1) {
+            return { position: this.position, angle: this.angle };
+        }
+        return {
+            position: state.position.add(this.position.sub(state.position).scalar(alpha)),
+            angle: state.angle + (this.angle - state.angle) * alpha
+        };
     }
 
     /**
@@ -222,6 +724,11 @@ export default class Body extends EventEmitter {
      */
     update(dt) {
 
+        if (this.isKinematic) {
+            this._updateKinematic(dt);
+            return;
+        }
+
         if (!this.shouldUpdate) {
             return;
         }
@@ -251,22 +758,226 @@ export default class Body extends EventEmitter {
         // Always using Verlet, update the angle and angular velocity
         this.angularVelocity = (this.angle - this.previousAngle) * frictionAir * correction1 + (this.torque / this.inertia) * correction2;
         this.previousAngle = this.angle;
-        this[ANGLE] += this.angularVelocity;
 
         // And now position
         this.previousPosition = this.position;
-        this[POSITION] = this[POSITION].add(this.velocity);
 
-        // Updates the position of the vertices and the bounds
-        this[VERTICES] = this[VERTICES].map(v => v.add(this.velocity));
-        if (this.angularVelocity == 0) {
-            this.bounds = Bounds.translate(this.bounds, this.velocity);
-        } else {
-            Vertices.rotate(this[VERTICES], this.angularVelocity, this.position);
-            this.axes = this.axes.map(a => a.rotate(this.angularVelocity));
-            this.bounds = Bounds.fromVertices(this[VERTICES]);
+        // Updates the position of the vertices (and of the parts) and the bounds
+        this.translate(this.velocity);
+        this.rotate(this.angularVelocity);
+
+    }
+
+    /**
+     *    Moves a kinematic body with its velocity, ignoring forces and air friction.
+     *    @param  {number|object} dt - Amount of time to advance the simulation.
+     *    @return {void}
+     */
+    _updateKinematic(dt) {
+
+        if (typeof dt === 'number') {
+            dt = { delta: dt, lastDelta: dt };
+        }
+
+        // The velocity is kept constant, correcting it for a different length of the step
+        const correction = dt.delta / dt.lastDelta;
+        this.velocity = this.position.sub(this.previousPosition).scalar(correction);
+        this.angularVelocity = (this.angle - this.previousAngle) * correction;
+        this.previousPosition = this.position;
+        this.previousAngle = this.angle;
+
+        this.translate(this.velocity);
+        this.rotate(this.angularVelocity);
+
+    }
+
+    /**
+     *    Returns a copy of the state of this body which is changed by the simulation:
+     *    position, angle, velocities, forces, geometry (with the parts), sleeping state and
+     *    time to live. The state can be given to `restoreState` to bring the body back to it.
+     *    Unlike `toJSON`, this is fast, but the result cannot be converted to JSON.
+     *    @return {object} The state of this body.
+     */
+    saveState() {
+        return {
+            position: copy(this[POSITION]),
+            angle: this[ANGLE],
+            previousPosition: copy(this.previousPosition),
+            previousAngle: this.previousAngle,
+            velocity: copy(this.velocity),
+            angularVelocity: this.angularVelocity,
+            force: copy(this.force),
+            torque: this.torque,
+            vertices: this[VERTICES].map(copy),
+            axes: this.axes.map(copy),
+            bounds: this.bounds,
+            parts: this[PARTS].map(p => p.saveState()),
+            isSleeping: this[ISSLEEPING],
+            ttl: this.ttl,
+            stepState: this[STEP_STATE]
+        };
+    }
+
+    /**
+     *    Brings this body back to a state returned by `saveState`.
+     *    The state can be restored more than once.
+     *    @param  {object} state - State to restore.
+     *    @return {void}
+     */
+    restoreState(state) {
+        this[POSITION] = copy(state.position);
+        this[ANGLE] = state.angle;
+        this.previousPosition = copy(state.previousPosition);
+        this.previousAngle = state.previousAngle;
+        this.velocity = copy(state.velocity);
+        this.angularVelocity = state.angularVelocity;
+        this.force = copy(state.force);
+        this.torque = state.torque;
+        this[VERTICES] = state.vertices.map(copy);
+        this.axes = state.axes.map(copy);
+        this.bounds = state.bounds;
+        this[PARTS].forEach((p, i) => p.restoreState(state.parts[i]));
+        this[ISSLEEPING] = state.isSleeping;
+        this.ttl = state.ttl;
+        this[STEP_STATE] = state.stepState;
+    }
+
+    /**
+     *    Returns a plain object describing this body, which can be converted to JSON.
+     *    It contains the geometry (with the parts), the state of the integration,
+     *    the material and the other options, and the `render` options that can be
+     *    represented in JSON. Event listeners and custom properties are not saved.
+     *    @return {object} The description of this body.
+     */
+    toJSON() {
+        const json = {
+            id: this.id,
+            position: this.position.toJSON(),
+            previousPosition: this.previousPosition.toJSON(),
+            velocity: this.velocity.toJSON(),
+            force: this.force.toJSON(),
+            angle: this.angle,
+            previousAngle: this.previousAngle,
+            angularVelocity: this.angularVelocity,
+            torque: this.torque,
+
+            // Vertices are relative to the position, but already rotated
+            vertices: this[VERTICES].map(v => v.sub(this.position).toJSON()),
+            axes: this.axes.map(a => a.toJSON()),
+            radius: this.radius,
+            parts: this[PARTS].map(p => p.toJSON()),
+
+            density: this.density,
+            area: this.area,
+            inertia: this.inertia,
+            invInertia: this.invInertia,
+            isStatic: this.isStatic,
+            isKinematic: this.isKinematic,
+            isTrigger: this.isTrigger,
+            isParticle: this.isParticle,
+            isBullet: this.isBullet,
+            isSleeping: this.isSleeping,
+            ttl: this.ttl,
+            slop: this.slop,
+            restitution: this.restitution,
+            friction: this.friction,
+            staticFriction: this.staticFriction,
+            rollingFriction: this.rollingFriction,
+            frictionAir: this.frictionAir,
+            restingThreshold: this.restingThreshold,
+            positionIterations: this.positionIterations,
+            velocityIterations: this.velocityIterations,
+            collisionFilter: extend({}, this.collisionFilter)
+        };
+
+        // The mass of static and kinematic bodies is infinite, which cannot be represented in JSON
+        if (!this.isStatic && !this.isKinematic) {
+            json.mass = this.mass;
+            json.invMass = this.invMass;
+        }
+
+        if (this.render) {
+            json.render = renderToJSON(this.render);
+        }
+
+        if (this.material) {
+            json.material = extend({}, this.material);
+        }
+
+        return json;
+    }
+
+    /**
+     *    Creates a body from its description, as returned by `toJSON`.
+     *    The body keeps the same id.
+     *    Materials are saved by value, so to share them among many bodies the same
+     *    cache of materials must be passed when loading each body: bodies with equal
+     *    materials will get the same instance.
+     *    @param  {object} json - Description of the body.
+     *    @param  {Map} [materials] - Cache of the materials already loaded.
+     *    @return {Body} The new body.
+     */
+    static fromJSON(json, materials = new Map()) {
+
+        const position = Vector.fromJSON(json.position);
+        const parts = json.parts.map(p => Body.fromJSON(p, materials));
+        const material = json.material ? loadMaterial(json.material, materials) : null;
+        const vertices = json.vertices.map(v => Vector.fromJSON(v));
+
+        // The geometry is already rotated, so the angle is restored later,
+        // without rotating the body again
+        const body = new Body({
+            id: json.id,
+            position: position,
+            vertices: parts.length > 0 ? [] : vertices,
+            radius: json.radius,
+            parts: parts,
+            density: json.density,
+            isStatic: json.isStatic,
+            isKinematic: json.isKinematic,
+            isTrigger: json.isTrigger,
+            isParticle: json.isParticle,
+            isBullet: json.isBullet,
+            ttl: json.ttl,
+            slop: json.slop,
+            restitution: json.restitution,
+            friction: json.friction,
+            staticFriction: json.staticFriction,
+            rollingFriction: json.rollingFriction,
+            frictionAir: json.frictionAir,
+            restingThreshold: json.restingThreshold,
+            positionIterations: json.positionIterations,
+            velocityIterations: json.velocityIterations,
+            collisionFilter: json.collisionFilter,
+            render: json.render,
+            material: material,
+            area: json.area,
+            mass: json.mass,
+            invMass: json.invMass,
+            inertia: json.inertia,
+            invInertia: json.invInertia
+        });
+
+        // The outline of compound bodies is not used to build them
+        if (parts.length > 0) {
+            body[VERTICES] = vertices.map(v => v.add(position));
         }
 
+        // The axes computed from the rotated vertices could differ slightly
+        body.axes = json.axes.map(a => Vector.fromJSON(a));
+
+        // Restores the exact state of the integration
+        body[POSITION] = position;
+        body[ANGLE] = json.angle;
+        body.previousPosition = Vector.fromJSON(json.previousPosition);
+        body.previousAngle = json.previousAngle;
+        body.velocity = Vector.fromJSON(json.velocity);
+        body.angularVelocity = json.angularVelocity;
+        body.force = Vector.fromJSON(json.force);
+        body.torque = json.torque;
+        body[ISSLEEPING] = json.isSleeping;
+
+        return body;
     }
 
 }
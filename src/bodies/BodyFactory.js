@@ -4,10 +4,9 @@
 
 import extend from 'extend';
 import Body from './Body';
+import Composite from './Composite';
 import Vector from '../geometry/Vector';
 
-const CIRCLE_EDGES = 20;
-
 /**
  *    Creates a body with a rectangular shape.
  *    @param  {number} x - X coordinate of the upper left corner.
@@ -78,11 +77,29 @@ export const line = (x1, y1, x2, y2, width, flip, options) => {
  */
 export const circle = (x, y, radius, options) => {
 
+    return new Body(extend({
+        position: new Vector(x, y),
+        radius: radius
+    }, options));
+
+};
+
+/**
+ *    Creates a body with the shape of a regular polygon.
+ *    @param  {number} x - X coordinate of the center.
+ *    @param  {number} y - Y coordinate of the center.
+ *    @param  {number} sides - Number of sides of the polygon.
+ *    @param  {number} radius - Radius of the circle circumscribing the polygon.
+ *    @param  {object} [options] - Additional options for the body.
+ *    @return {Body} The body created.
+ */
+export const polygon = (x, y, sides, radius, options) => {
+
     const center = new Vector(x, y);
 
     const vertices = [];
-    const alpha = Math.PI * 2 / CIRCLE_EDGES;
-    for (let i = 0; i < CIRCLE_EDGES; i++) {
+    const alpha = Math.PI * 2 / sides;
+    for (let i = 0; i < sides; i++) {
         vertices.push(new Vector(Math.cos(alpha * i) * radius, Math.sin(alpha * i) * radius));
     }
 
@@ -93,6 +110,39 @@ export const circle = (x, y, radius, options) => {
 
 };
 
+/**
+ *    Creates a body with the shape of an arbitrary simple polygon.
+ *    If the polygon is concave, the body is automatically decomposed into convex parts.
+ *    @param  {number} x - X coordinate of the reference point of the vertices.
+ *    @param  {number} y - Y coordinate of the reference point of the vertices.
+ *    @param  {Vector[]} vertices - Vertices of the polygon, relative to the reference point.
+ *    @param  {object} [options] - Additional options for the body.
+ *    @return {Body} The body created.
+ */
+export const fromVertices = (x, y, vertices, options) => {
+
+    return new Body(extend({
+        position: new Vector(x, y),
+        vertices: vertices
+    }, options));
+
+};
+
+/**
+ *    Creates a compound body made of the given parts.
+ *    The parts move as a single rigid body, whose position is the center of mass of the parts.
+ *    @param  {Body[]} parts - Parts of the body, in world coordinates.
+ *    @param  {object} [options] - Additional options for the body.
+ *    @return {Body} The body created.
+ */
+export const compound = (parts, options) => {
+
+    return new Body(extend({
+        parts: parts
+    }, options));
+
+};
+
 /**
  *    Creates a cage using 4 walls.
  *    @param  {number} x - X coordinate of the upper left corner.
@@ -101,7 +151,7 @@ export const circle = (x, y, radius, options) => {
  *    @param  {number} height - Height of the cage.
  *    @param  {number} wallsWidth - Width of the walls.
  *    @param  {object} [options] - Additional options for the body.
- *    @return {Body[]} Array of bodies composing the cage.
+ *    @return {Composite} Composite containing the walls of the cage.
  */
 export const cage = (x, y, width, height, wallsWidth, options) => {
 
@@ -110,7 +160,7 @@ export const cage = (x, y, width, height, wallsWidth, options) => {
     const right = rect(width - wallsWidth, y, wallsWidth, height, options);
     const bottom = rect(x, height - wallsWidth, width, wallsWidth, options);
 
-    return [ left, top, right, bottom ];
+    return new Composite({ bodies: [ left, top, right, bottom ] });
 
 };
 
@@ -122,12 +172,12 @@ export const cage = (x, y, width, height, wallsWidth, options) => {
  *    @param  {number} height - Height of the stack (number of bodies).
  *    @param  {function} bodyCreator - Factory of all the bodies of the stack.
  *            Is invoked with the X and Y coordinates of the object to create.
- *    @return {Body[]} The newly created stack of objects.
+ *    @return {Composite} Composite containing the newly created stack of objects.
  */
 export const stack = (x, y, width, height, bodyCreator) => {
 
     const res = [];
-    
+
     let accumulatedWidth = 0;
     let columnWidth = -Infinity;
     for (let i = 0; i < width; i++) {
@@ -139,13 +189,13 @@ export const stack = (x, y, width, height, bodyCreator) => {
             res.push(body);
 
             // Uses the bounds of the body to compute where the next body will be
-            accumulatedHeight += body.bounds.max.y - body.bounds.min.y;
+            accumulatedHeight = accumulatedHeight + body.bounds.max.y - body.bounds.min.y;
             columnWidth = Math.max(columnWidth, body.bounds.max.x - body.bounds.min.x);
         }
 
-        accumulatedWidth += columnWidth;
+        accumulatedWidth = accumulatedWidth + columnWidth;
     }
 
-    return res;
+    return new Composite({ bodies: res });
 
 };
@@ -0,0 +1,252 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import * as Bounds from '../geometry/Bounds';
+import Body from './Body';
+import Constraint from '../constraints/Constraint';
+
+/**
+ *    Container of bodies, constraints and other composites.
+ *    A composite allows to handle a group of objects as a single unit: it can be moved,
+ *    rotated and scaled as a whole, and can be added to (or removed from) an engine
+ *    with all its content.
+ *
+ *    Note that a composite is not a rigid body: the objects it contains are simulated
+ *    independently. To build a single rigid body from several shapes, use a compound body.
+ */
+export default class Composite {
+
+    /**
+     *    Constructs a new `Composite`.
+     *    @param {object} options - Object containing the properties to set on this object
+     *    immediately after construction. The content of the composite can be given
+     *    with the properties `bodies`, `constraints` and `composites`.
+     */
+    constructor(options) {
+        extend(this, {
+            bodies: [],
+            constraints: [],
+            composites: []
+        }, options);
+    }
+
+    /**
+     *    Adds objects to this composite.
+     *    @param {Body|Constraint|Composite|Array} objects - Object to add, or array of objects.
+     *    @return {Composite} This composite.
+     */
+    add(objects) {
+        for (const o of [].concat(objects)) {
+            if (Array.isArray(o)) {
+                this.add(o);
+            } else {
+                const list = this._listOf(o);
+                if (!list.includes(o)) {
+                    list.push(o);
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     *    Removes objects from this composite and from all the nested composites.
+     *    @param {Body|Constraint|Composite|Array} objects - Object to remove, or array of objects.
+     *    @return {Composite} This composite.
+     */
+    remove(objects) {
+        for (const o of [].concat(objects)) {
+            if (Array.isArray(o)) {
+                this.remove(o);
+                continue;
+            }
+            const list = this._listOf(o);
+            const index = list.indexOf(o);
+            if (index >= 0) {
+                list.splice(index, 1);
+            }
+            for (const c of this.composites) {
+                c.remove(o);
+            }
+        }
+        return this;
+    }
+
+    /**
+     *    Returns all the bodies in this composite and in the nested ones.
+     *    @return {Body[]} Array of bodies.
+     */
+    allBodies() {
+        const nested = this.composites.map(c => c.allBodies());
+        return this.bodies.concat(...nested);
+    }
+
+    /**
+     *    Returns all the constraints in this composite and in the nested ones.
+     *    @return {Constraint[]} Array of constraints.
+     */
+    allConstraints() {
+        const nested = this.composites.map(c => c.allConstraints());
+        return this.constraints.concat(...nested);
+    }
+
+    /**
+     *    Returns all the composites nested in this one, at any depth.
+     *    @return {Composite[]} Array of composites.
+     */
+    allComposites() {
+        const nested = this.composites.map(c => c.allComposites());
+        return this.composites.concat(...nested);
+    }
+
+    /**
+     *    Returns a boolean value indicating whether an object is in this composite
+     *    or in one of the nested ones, for example to filter the results of a query.
+     *    @param  {Body|Constraint|Composite} object - Object to look for.
+     *    @return {boolean} `true` if the object is in the composite, `false` otherwise.
+     */
+    contains(object) {
+        return this._listOf(object).includes(object) ||
+            this.composites.some(c => c.contains(object));
+    }
+
+    /**
+     *    Hides all the bodies and constraints of the composite, setting the render
+     *    option `visible` of each of them.
+     *    @return {Composite} This composite.
+     */
+    hide() {
+        this._setVisible(false);
+        return this;
+    }
+
+    /**
+     *    Shows all the bodies and constraints of the composite, hidden by `hide`.
+     *    @return {Composite} This composite.
+     */
+    show() {
+        this._setVisible(true);
+        return this;
+    }
+
+    /**
+     *    Bounds containing all the bodies of the composite.
+     *    @type {Bounds}
+     */
+    get bounds() {
+        return Bounds.union(this.allBodies().map(b => b.bounds));
+    }
+
+    /**
+     *    Moves all the bodies of the composite of the given offset, without changing
+     *    their velocities. The fixed anchor points of the constraints are moved too.
+     *    @param  {Vector} delta - Offset to move the bodies of.
+     *    @return {Composite} This composite.
+     */
+    translate(delta) {
+        for (const b of this.allBodies()) {
+            b.position = b.position.add(delta);
+        }
+        this._transformFixedPoints(p => p.add(delta));
+        return this;
+    }
+
+    /**
+     *    Rotates all the bodies of the composite around the given point.
+     *    The velocities of the bodies are rotated too, and the fixed anchor points
+     *    of the constraints are moved accordingly.
+     *    @param  {number} angle - Angle (in radians) to rotate of.
+     *    @param  {Vector} [point] - Center of the rotation. Defaults to the center of the bounds.
+     *    @return {Composite} This composite.
+     */
+    rotate(angle, point = this._center()) {
+        const rotatePoint = (p) => p.sub(point).rotate(angle).add(point);
+        for (const b of this.allBodies()) {
+            const velocity = b.position.sub(b.previousPosition);
+            b.rotate(angle, point);
+            b.previousPosition = b.position.sub(velocity.rotate(angle));
+            b.previousAngle = b.previousAngle + angle;
+        }
+        this._transformFixedPoints(rotatePoint);
+        return this;
+    }
+
+    /**
+     *    Scales all the bodies of the composite, relative to the given point.
+     *    Both the size of the bodies and their distances are scaled,
+     *    and the fixed anchor points of the constraints are moved accordingly.
+     *    Note that the anchor points attached to the bodies and the lengths
+     *    of the constraints are not changed.
+     *    @param  {number} scaleX - Scale factor along the X axis.
+     *    @param  {number} [scaleY] - Scale factor along the Y axis. Defaults to `scaleX`.
+     *    @param  {Vector} [point] - Center of the scaling. Defaults to the center of the bounds.
+     *    @return {Composite} This composite.
+     */
+    scale(scaleX, scaleY = scaleX, point = this._center()) {
+        const scalePoint = (p) => new Vector(
+            point.x + (p.x - point.x) * scaleX,
+            point.y + (p.y - point.y) * scaleY
+        );
+        for (const b of this.allBodies()) {
+            b.scale(scaleX, scaleY, point);
+        }
+        this._transformFixedPoints(scalePoint);
+        return this;
+    }
+
+    /**
+     *    Returns the center of the bounds of the composite.
+     *    @return {Vector} The center.
+     */
+    _center() {
+        const { min, max } = this.bounds;
+        return min.add(max).scalar(0.5);
+    }
+
+    /**
+     *    Sets the render option `visible` of all the bodies and constraints.
+     *    The render options are copied, since they can be shared by several objects.
+     *    @param  {boolean} visible - `true` to show the objects, `false` to hide them.
+     *    @return {void}
+     */
+    _setVisible(visible) {
+        for (const o of [].concat(this.allBodies(), this.allConstraints())) {
+            o.render = extend({}, o.render, { visible });
+        }
+    }
+
+    /**
+     *    Applies a transformation to the anchor points of the constraints
+     *    which are fixed in world coordinates.
+     *    @param  {function} transform - Function transforming a point.
+     *    @return {void}
+     */
+    _transformFixedPoints(transform) {
+        for (const c of this.allConstraints()) {
+            if (!c.bodyA) {
+                c.pointA = transform(c.pointA);
+            }
+            if (!c.bodyB) {
+                c.pointB = transform(c.pointB);
+            }
+        }
+    }
+
+    /**
+     *    Returns the list in which the given object must be stored.
+     *    @param  {Body|Constraint|Composite} object - Object to store.
+     *    @return {Array} The list.
+     */
+    _listOf(object) {
+        if (object instanceof Body) {
+            return this.bodies;
+        }
+        if (object instanceof Constraint) {
+            return this.constraints;
+        }
+        if (object instanceof Composite) {
+            return this.composites;
+        }
+        throw new Error('Only bodies, constraints and composites can be added to a composite.');
+    }
+
+}
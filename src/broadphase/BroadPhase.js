@@ -0,0 +1,110 @@
+import * as Bounds from '../geometry/Bounds';
+import * as Collision from '../geometry/Collision';
+
+/**
+ *    Returns a boolean value indicating whether the given bodies
+ *    should be considered for collision detection or not.
+ *    Particles never collide, two static or sleeping bodies are never tested toghether,
+ *    and the collision filters of the bodies must allow the collision.
+ *    Kinematic bodies are tested only against dynamic bodies, even sleeping ones
+ *    so that they can wake them up.
+ *    @param  {Body} b1 - First body.
+ *    @param  {Body} b2 - Second body.
+ *    @return {boolean} `true` if the pair is a valid collision candidate, `false` otherwise.
+ */
+export const canCollide = (b1, b2) => {
+    if (b1 === b2 || b1.isParticle || b2.isParticle) {
+        return false;
+    }
+    const kinematicPair = (b1.isKinematic && b2.isSleeping) || (b2.isKinematic && b1.isSleeping);
+    return (b1.shouldUpdate || b2.shouldUpdate || kinematicPair) &&
+        Collision.canCollide(b1.collisionFilter, b2.collisionFilter);
+};
+
+/**
+ *    Base class for all the broad phase algorithms.
+ *
+ *    The broad phase is the first step of collision detection: its only job is to find
+ *    as fast as possible a list of pairs of bodies that *might* be colliding,
+ *    only looking at their bounds. The pairs are then tested with a full SAT
+ *    during the narrow phase.
+ *
+ *    Subclasses must implement `update`, to rebuild their internal structures
+ *    with the new state of the bodies, and `pairs`, to actually find the candidates.
+ *    They can also override `query`, to find the bodies in a region using their structures.
+ */
+export default class BroadPhase {
+
+    /**
+     *    Updates the internal structures of the broad phase with the new state of the bodies.
+     *    Subclasses overriding this method must call the base implementation.
+     *    @param  {Body[]} bodies - Bodies taking part in the simulation.
+     *    @return {void}
+     */
+    update(bodies) {
+        this.bodies = bodies;
+
+        // The index of each body is used to return the pairs in a stable order
+        this._indices = new Map();
+        bodies.forEach((b, i) => this._indices.set(b, i));
+    }
+
+    /**
+     *    Returns the list of the pairs of bodies whose bounds overlap.
+     *    Each pair is an array of two bodies, and the first body of the pair always precedes
+     *    the second one in the array passed to `update`. The pairs are sorted in the same way.
+     *    @return {Array.<Body[]>} Array of collision candidates.
+     */
+    pairs() {
+        throw new Error('BroadPhase.pairs is abstract and must be implemented by subclasses.');
+    }
+
+    /**
+     *    Returns the bodies whose bounds overlap the given ones.
+     *    Particles are never returned, and the bodies are sorted in the same order
+     *    of the array passed to `update`.
+     *    The base implementation just tests all the bodies.
+     *    @param  {Bounds} bounds - Bounds of the region to query.
+     *    @return {Body[]} Array of bodies.
+     */
+    query(bounds) {
+        return (this.bodies || []).filter(b => !b.isParticle && Bounds.overlap(b.bounds, bounds));
+    }
+
+    /**
+     *    Tests the given bodies and, if they are a valid collision candidate,
+     *    returns the pair in the order expected by `pairs`.
+     *    @param  {Body} b1 - First body.
+     *    @param  {Body} b2 - Second body.
+     *    @return {Body[]} The pair of bodies, or `null` if they cannot collide.
+     */
+    _makePair(b1, b2) {
+        if (!canCollide(b1, b2) || !Bounds.overlap(b1.bounds, b2.bounds)) {
+            return null;
+        }
+        return this._indices.get(b1) < this._indices.get(b2) ? [ b1, b2 ] : [ b2, b1 ];
+    }
+
+    /**
+     *    Sorts IN PLACE the given pairs using the order of the bodies given to `update`.
+     *    @param  {Array.<Body[]>} pairs - Pairs to sort.
+     *    @return {Array.<Body[]>} The same array, sorted.
+     */
+    _sortPairs(pairs) {
+        const indices = this._indices;
+        return pairs.sort((p, q) =>
+            (indices.get(p[0]) - indices.get(q[0])) || (indices.get(p[1]) - indices.get(q[1]))
+        );
+    }
+
+    /**
+     *    Sorts IN PLACE the given bodies using the order of the bodies given to `update`.
+     *    @param  {Body[]} bodies - Bodies to sort.
+     *    @return {Body[]} The same array, sorted.
+     */
+    _sortBodies(bodies) {
+        const indices = this._indices;
+        return bodies.sort((a, b) => indices.get(a) - indices.get(b));
+    }
+
+}
@@ -0,0 +1,26 @@
+import BroadPhase from './BroadPhase';
+
+/**
+ *    The simplest broad phase possible: tests every pair of bodies.
+ *    It has a cost of O(n²), so it should be used only for very small scenes,
+ *    or as a reference to check the results of the other algorithms.
+ */
+export default class BruteForce extends BroadPhase {
+
+    pairs() {
+        const { bodies } = this;
+        const result = [];
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const pair = this._makePair(bodies[i], bodies[j]);
+                if (pair) {
+                    result.push(pair);
+                }
+            }
+        }
+
+        return result;
+    }
+
+}
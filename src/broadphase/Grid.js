@@ -0,0 +1,140 @@
+import extend from 'extend';
+import BroadPhase from './BroadPhase';
+import * as Bounds from '../geometry/Bounds';
+
+// Adds a body to the cell with the given key, creating it if needed
+const insert = (cells, key, body) => {
+    if (!cells.has(key)) {
+        cells.set(key, []);
+    }
+    cells.get(key).push(body);
+};
+
+/**
+ *    Broad phase based on a uniform grid.
+ *    Every body is inserted in all the cells covered by its bounds, and only the bodies
+ *    sharing at least a cell are tested toghether. Works best when the size of the cells
+ *    is comparable to the size of the bodies in the scene.
+ */
+export default class Grid extends BroadPhase {
+
+    /**
+     *    Creates a new `Grid` broad phase.
+     *    @param {object} [options] - Options for the grid. Supports `cellSize`.
+     */
+    constructor(options) {
+        super();
+        this.options = extend({
+            cellSize: 64,
+            maxCellsPerBody: 1024
+        }, options);
+        this._cells = new Map();
+        this._large = [];
+    }
+
+    update(bodies) {
+        super.update(bodies);
+
+        const { cellSize, maxCellsPerBody } = this.options;
+        const cells = new Map();
+        const large = [];
+
+        for (const b of bodies) {
+
+            // Particles never collide, so there's no need to track them
+            if (b.isParticle) {
+                continue;
+            }
+
+            // Insert the body in all the cells covered by its bounds
+            const minX = Math.floor(b.bounds.min.x / cellSize);
+            const minY = Math.floor(b.bounds.min.y / cellSize);
+            const maxX = Math.floor(b.bounds.max.x / cellSize);
+            const maxY = Math.floor(b.bounds.max.y / cellSize);
+
+            // Bodies covering too many cells (or with invalid bounds) would make
+            // the grid explode, so they are kept apart and tested against everyone.
+            if (!((maxX - minX + 1) * (maxY - minY + 1) <= maxCellsPerBody)) {
+                large.push(b);
+                continue;
+            }
+
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    insert(cells, `${x},${y}`, b);
+                }
+            }
+
+        }
+
+        this._cells = cells;
+        this._large = large;
+    }
+
+    pairs() {
+        const result = [];
+
+        // The same pair of bodies can share more than a cell,
+        // so we keep track of the pairs we have already tested.
+        const n = this.bodies.length;
+        const tested = new Set();
+        const testPair = (b1, b2) => {
+            const i = this._indices.get(b1);
+            const j = this._indices.get(b2);
+            const key = i < j ? i * n + j : j * n + i;
+            if (!tested.has(key)) {
+                tested.add(key);
+                const pair = this._makePair(b1, b2);
+                if (pair) {
+                    result.push(pair);
+                }
+            }
+        };
+
+        for (const cell of this._cells.values()) {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    testPair(cell[i], cell[j]);
+                }
+            }
+        }
+
+        // Large bodies are not in the grid, so they are tested against all the others
+        for (const b1 of this._large) {
+            for (const b2 of this.bodies) {
+                if (!b2.isParticle) {
+                    testPair(b1, b2);
+                }
+            }
+        }
+
+        return this._sortPairs(result);
+    }
+
+    query(bounds) {
+        const { cellSize, maxCellsPerBody } = this.options;
+
+        const minX = Math.floor(bounds.min.x / cellSize);
+        const minY = Math.floor(bounds.min.y / cellSize);
+        const maxX = Math.floor(bounds.max.x / cellSize);
+        const maxY = Math.floor(bounds.max.y / cellSize);
+
+        // Looking in too many cells would be slower than testing all the bodies
+        if (!((maxX - minX + 1) * (maxY - minY + 1) <= maxCellsPerBody)) {
+            return super.query(bounds);
+        }
+
+        // A body can be in more than a cell, so the bodies found are kept in a set
+        const found = new Set(this._large);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (const b of this._cells.get(`${x},${y}`) || []) {
+                    found.add(b);
+                }
+            }
+        }
+
+        return this._sortBodies(Array.from(found).filter(b => Bounds.overlap(b.bounds, bounds)));
+    }
+
+}
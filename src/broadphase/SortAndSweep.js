@@ -0,0 +1,96 @@
+import extend from 'extend';
+import BroadPhase from './BroadPhase';
+import * as Bounds from '../geometry/Bounds';
+
+// Bodies with `NaN` bounds would break the sorting
+const isValid = (bounds, axis) => !isNaN(bounds.min[axis]) && !isNaN(bounds.max[axis]);
+
+/**
+ *    Broad phase based on the sort and sweep algorithm.
+ *    The bodies are sorted on the minimum coordinate of their bounds along an axis,
+ *    and then the sorted list is swept once: a body needs to be tested only against
+ *    the following bodies that start before its own end.
+ *    Works best when bodies are spread along the chosen axis.
+ */
+export default class SortAndSweep extends BroadPhase {
+
+    /**
+     *    Creates a new `SortAndSweep` broad phase.
+     *    @param {object} [options] - Options for the algorithm.
+     *    Supports `axis`, which can be either `'x'` or `'y'`.
+     */
+    constructor(options) {
+        super();
+        this.options = extend({
+            axis: 'x'
+        }, options);
+        this._sorted = [];
+        this._invalid = [];
+    }
+
+    update(bodies) {
+        super.update(bodies);
+
+        const { axis } = this.options;
+
+        // Particles never collide, so there's no need to track them.
+        // Bodies with invalid bounds cannot be sorted, so they are kept apart
+        // and tested against everyone.
+        const candidates = bodies.filter(b => !b.isParticle);
+        this._invalid = candidates.filter(b => !isValid(b.bounds, axis));
+        this._sorted = candidates
+            .filter(b => isValid(b.bounds, axis))
+            .sort((a, b) => a.bounds.min[axis] - b.bounds.min[axis]);
+    }
+
+    pairs() {
+        const { axis } = this.options;
+        const sorted = this._sorted;
+        const result = [];
+
+        for (let i = 0; i < sorted.length; i++) {
+            const b1 = sorted[i];
+
+            // Since the bodies are sorted, as soon as we find a body starting
+            // after the end of this one, we can stop the sweep.
+            const max = b1.bounds.max[axis];
+            for (let j = i + 1; j < sorted.length && sorted[j].bounds.min[axis] <= max; j++) {
+                const pair = this._makePair(b1, sorted[j]);
+                if (pair) {
+                    result.push(pair);
+                }
+            }
+
+        }
+
+        for (const b1 of this._invalid) {
+            for (const b2 of this.bodies) {
+                const pair = !b2.isParticle && this._makePair(b1, b2);
+                if (pair && (!this._invalid.includes(b2) || pair[0] === b1)) {
+                    result.push(pair);
+                }
+            }
+        }
+
+        return this._sortPairs(result);
+    }
+
+    query(bounds) {
+        const { axis } = this.options;
+        const result = [];
+
+        // The sweep stops at the first body starting after the end of the region.
+        // Bodies with invalid bounds can never overlap the region, so they are ignored.
+        for (const b of this._sorted) {
+            if (b.bounds.min[axis] > bounds.max[axis]) {
+                break;
+            }
+            if (Bounds.overlap(b.bounds, bounds)) {
+                result.push(b);
+            }
+        }
+
+        return this._sortBodies(result);
+    }
+
+}
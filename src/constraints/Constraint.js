@@ -0,0 +1,170 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+
+/**
+ *    Returns a boolean value indicating whether the given body
+ *    can be moved by a constraint or not.
+ *    @param  {Body} body - Body to test. Can be `null`.
+ *    @return {boolean} `true` if the body can be moved, `false` otherwise.
+ */
+export const isMovable = (body) => !!body && body.shouldUpdate;
+
+/**
+ *    Error (in pixels, or radians for angles) above which a constraint is considered violated,
+ *    and wakes up its sleeping bodies.
+ *    @type {number}
+ */
+export const WAKE_TOLERANCE = 0.1;
+
+/**
+ *    Base class for all the constraints between bodies.
+ *
+ *    A constraint links two bodies through two anchor points, `pointA` and `pointB`,
+ *    which are expressed in the local space of the respective bodies
+ *    (that is, relative to their position, when they are not rotated).
+ *    One of the two bodies can be `null`: in this case the corresponding anchor point
+ *    is a fixed point in world coordinates.
+ *
+ *    Sleeping bodies are not moved by constraints: a constraint wakes them up when it's
+ *    violated, for example because the body at its other end was dragged away.
+ *
+ *    The engine solves the constraints in three moments of each update:
+ *    - `applyForces` is called before the integration, together with the gravity;
+ *    - `solvePosition` is called iteratively after the integration;
+ *    - `solveVelocity` is called after the collisions have been resolved.
+ *    Subclasses override only the steps they need.
+ */
+export default class Constraint {
+
+    /**
+     *    Constructs a new `Constraint`.
+     *    @param {object} options - Object containing the properties to set on this object
+     *    immediately after construction.
+     */
+    constructor(options) {
+        extend(this, {
+            bodyA: null,
+            bodyB: null,
+            pointA: new Vector(0, 0),
+            pointB: new Vector(0, 0),
+            stiffness: 1
+        }, options);
+    }
+
+    /**
+     *    Position in world coordinates of the first anchor point.
+     *    @type {Vector}
+     */
+    get worldPointA() {
+        return this.bodyA ? this.bodyA.toWorld(this.pointA) : this.pointA;
+    }
+
+    /**
+     *    Position in world coordinates of the second anchor point.
+     *    @type {Vector}
+     */
+    get worldPointB() {
+        return this.bodyB ? this.bodyB.toWorld(this.pointB) : this.pointB;
+    }
+
+    /**
+     *    Returns a plain object describing this constraint, which can be converted to JSON.
+     *    The bodies are replaced by their ids. Numbers that cannot be represented in JSON
+     *    (like an infinite maximum torque) are left out, so they will get their default values.
+     *    @return {object} The description of this constraint.
+     */
+    toJSON() {
+        const json = extend({}, this, {
+            bodyA: this.bodyA ? this.bodyA.id : null,
+            bodyB: this.bodyB ? this.bodyB.id : null,
+            pointA: this.pointA.toJSON(),
+            pointB: this.pointB.toJSON()
+        });
+        for (const k of Object.keys(json)) {
+            if (typeof json[k] === 'number' && !isFinite(json[k])) {
+                delete json[k];
+            }
+        }
+        return json;
+    }
+
+    /**
+     *    Applies the forces generated by this constraint to the bodies.
+     *    @return {void}
+     */
+    applyForces() {
+        // Nothing to do by default
+    }
+
+    /**
+     *    Performs a single iteration of position correction.
+     *    @return {void}
+     */
+    solvePosition() {
+        // Nothing to do by default
+    }
+
+    /**
+     *    Corrects the velocities of the bodies after the collisions have been resolved.
+     *    @return {void}
+     */
+    solveVelocity() {
+        // Nothing to do by default
+    }
+
+    /**
+     *    Wakes up the sleeping body of this constraint, unless the other end is sleeping too:
+     *    a constraint between sleeping bodies is left alone, as they sleep together.
+     *    Subclasses call this method when the constraint is violated or applies a force.
+     *    @return {void}
+     */
+    _wakeBodies() {
+        const sleeping = [ this.bodyA, this.bodyB ].filter(b => b && b.isSleeping);
+        if (sleeping.length === 1) {
+            sleeping[0].wake();
+        }
+    }
+
+    /**
+     *    Computes the inverse of the effective mass of the constraint along the given direction.
+     *    Static, sleeping and missing bodies are considered to have infinite mass.
+     *    @param  {Vector} n - Unit vector along which the correction will be applied.
+     *    @param  {Vector} rA - Offset of the first anchor from the position of the first body.
+     *    @param  {Vector} rB - Offset of the second anchor from the position of the second body.
+     *    @return {number} The inverse of the effective mass.
+     */
+    _invEffectiveMass(n, rA, rB) {
+        let w = 0;
+        if (isMovable(this.bodyA)) {
+            const rAcrossN = rA.cross(n);
+            w = w + this.bodyA.invMass + this.bodyA.invInertia * rAcrossN * rAcrossN;
+        }
+        if (isMovable(this.bodyB)) {
+            const rBcrossN = rB.cross(n);
+            w = w + this.bodyB.invMass + this.bodyB.invInertia * rBcrossN * rBcrossN;
+        }
+        return w;
+    }
+
+    /**
+     *    Moves the bodies applying a position correction at the anchor points.
+     *    The first body is moved along `correction`, the second one in the opposite direction.
+     *    Note that this does not change the previous position of the bodies,
+     *    so that the Verlet integration will turn the correction into a velocity.
+     *    @param  {Vector} correction - Correction, already divided by the effective mass.
+     *    @param  {Vector} rA - Offset of the first anchor from the position of the first body.
+     *    @param  {Vector} rB - Offset of the second anchor from the position of the second body.
+     *    @return {void}
+     */
+    _applyPositionCorrection(correction, rA, rB) {
+        if (isMovable(this.bodyA)) {
+            this.bodyA.translate(correction.scalar(this.bodyA.invMass));
+            this.bodyA.rotate(rA.cross(correction) * this.bodyA.invInertia);
+        }
+        if (isMovable(this.bodyB)) {
+            this.bodyB.translate(correction.scalar(-this.bodyB.invMass));
+            this.bodyB.rotate(-rB.cross(correction) * this.bodyB.invInertia);
+        }
+    }
+
+}
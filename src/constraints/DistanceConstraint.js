@@ -0,0 +1,55 @@
+import extend from 'extend';
+import Constraint, { WAKE_TOLERANCE } from './Constraint';
+
+/**
+ *    Constraint that keeps the anchor points of two bodies at a fixed distance,
+ *    like if they were linked by a rigid rod.
+ *    If the option `rope` is `true`, the constraint behaves like a rope instead:
+ *    the anchor points can get closer, but never farther than `length`.
+ */
+export default class DistanceConstraint extends Constraint {
+
+    /**
+     *    Constructs a new `DistanceConstraint`.
+     *    If `length` is not given, the current distance between the anchor points is used.
+     *    @param {object} options - Options for the constraint.
+     */
+    constructor(options) {
+        super(extend({
+            rope: false
+        }, options));
+
+        if (typeof this.length !== 'number') {
+            this.length = this.worldPointB.sub(this.worldPointA).length();
+        }
+    }
+
+    solvePosition() {
+
+        const pA = this.worldPointA;
+        const pB = this.worldPointB;
+        const delta = pB.sub(pA);
+        const distance = delta.length();
+
+        // Positive if the anchors are too far from each other, negative if they are too close
+        const error = distance - this.length;
+        if (distance === 0 || error === 0 || (this.rope && error < 0)) {
+            return;
+        }
+        if (Math.abs(error) > WAKE_TOLERANCE) {
+            this._wakeBodies();
+        }
+
+        const n = delta.scalar(1 / distance);
+        const rA = this.bodyA ? pA.sub(this.bodyA.position) : null;
+        const rB = this.bodyB ? pB.sub(this.bodyB.position) : null;
+        const w = this._invEffectiveMass(n, rA, rB);
+        if (w === 0) {
+            return;
+        }
+
+        this._applyPositionCorrection(n.scalar(error * this.stiffness / w), rA, rB);
+
+    }
+
+}
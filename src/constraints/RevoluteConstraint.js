@@ -0,0 +1,145 @@
+import extend from 'extend';
+import Constraint, { isMovable, WAKE_TOLERANCE } from './Constraint';
+
+// Helpers to handle missing, static or sleeping bodies
+const angleOf = (body) => body ? body.angle : 0;
+const invInertiaOf = (body) => isMovable(body) ? body.invInertia : 0;
+const angularVelocityOf = (body) => body ? body.angle - body.previousAngle : 0;
+
+/**
+ *    Constraint that pins toghether the anchor points of two bodies,
+ *    leaving them free to rotate around the common point, like a hinge.
+ *
+ *    The relative rotation of the bodies can be limited with the options
+ *    `lowerAngle` and `upperAngle`, and can be driven by a motor:
+ *
+ *    - `enableLimit`: Whether or not to limit the relative angle of the bodies.
+ *    - `lowerAngle`, `upperAngle`: Limits (in radians) of the relative angle of the bodies,
+ *      measured from the relative angle at the moment of construction.
+ *    - `enableMotor`: Whether or not the motor is enabled.
+ *    - `motorSpeed`: Target relative angular velocity (in radians per step).
+ *    - `maxMotorTorque`: Maximum angular impulse that the motor can apply at each step.
+ */
+export default class RevoluteConstraint extends Constraint {
+
+    /**
+     *    Constructs a new `RevoluteConstraint`.
+     *    If `pointB` is not given, it is computed so that at the moment of construction
+     *    both the anchor points are in the same position.
+     *    @param {object} options - Options for the constraint.
+     */
+    constructor(options) {
+        super(extend({
+            enableLimit: false,
+            lowerAngle: 0,
+            upperAngle: 0,
+            enableMotor: false,
+            motorSpeed: 0,
+            maxMotorTorque: Infinity
+        }, options));
+
+        if (!options || !options.pointB) {
+            this.pointB = this.bodyB ? this.bodyB.toLocal(this.worldPointA) : this.worldPointA;
+        }
+
+        if (typeof this.referenceAngle !== 'number') {
+            this.referenceAngle = angleOf(this.bodyB) - angleOf(this.bodyA);
+        }
+    }
+
+    /**
+     *    Current angle of the second body relative to the first one,
+     *    measured from the relative angle at the moment of construction.
+     *    @type {number}
+     */
+    get angle() {
+        return angleOf(this.bodyB) - angleOf(this.bodyA) - this.referenceAngle;
+    }
+
+    solvePosition() {
+
+        const { bodyA, bodyB } = this;
+
+        // Enforce the limits rotating the bodies
+        if (this.enableLimit) {
+            const angle = this.angle;
+            let error = 0;
+            if (angle < this.lowerAngle) {
+                error = angle - this.lowerAngle;
+            } else if (angle > this.upperAngle) {
+                error = angle - this.upperAngle;
+            }
+            if (Math.abs(error) > WAKE_TOLERANCE) {
+                this._wakeBodies();
+            }
+            const w = invInertiaOf(bodyA) + invInertiaOf(bodyB);
+            if (error !== 0 && w !== 0) {
+                const correction = error * this.stiffness / w;
+                if (isMovable(bodyA)) {
+                    bodyA.rotate(correction * bodyA.invInertia);
+                }
+                if (isMovable(bodyB)) {
+                    bodyB.rotate(-correction * bodyB.invInertia);
+                }
+            }
+        }
+
+        // Then pin the anchor points toghether
+        const pA = this.worldPointA;
+        const pB = this.worldPointB;
+        const delta = pB.sub(pA);
+        const distance = delta.length();
+        if (distance === 0) {
+            return;
+        }
+        if (distance > WAKE_TOLERANCE) {
+            this._wakeBodies();
+        }
+
+        const n = delta.scalar(1 / distance);
+        const rA = bodyA ? pA.sub(bodyA.position) : null;
+        const rB = bodyB ? pB.sub(bodyB.position) : null;
+        const w = this._invEffectiveMass(n, rA, rB);
+        if (w === 0) {
+            return;
+        }
+
+        this._applyPositionCorrection(n.scalar(distance * this.stiffness / w), rA, rB);
+
+    }
+
+    solveVelocity() {
+
+        if (!this.enableMotor) {
+            return;
+        }
+
+        // A running motor keeps its bodies awake
+        if (this.motorSpeed !== 0) {
+            this._wakeBodies();
+        }
+
+        const { bodyA, bodyB } = this;
+        const w = invInertiaOf(bodyA) + invInertiaOf(bodyB);
+        if (w === 0) {
+            return;
+        }
+
+        // The angular velocity is implicit in the Verlet integration,
+        // so the motor acts changing the previous angle of the bodies.
+        const relativeVelocity = angularVelocityOf(bodyB) - angularVelocityOf(bodyA);
+        const impulse = Math.max(-this.maxMotorTorque, Math.min(
+            (this.motorSpeed - relativeVelocity) / w,
+            this.maxMotorTorque
+        ));
+
+        if (isMovable(bodyA)) {
+            bodyA.previousAngle = bodyA.previousAngle + impulse * bodyA.invInertia;
+        }
+        if (isMovable(bodyB)) {
+            bodyB.previousAngle = bodyB.previousAngle - impulse * bodyB.invInertia;
+        }
+
+    }
+
+}
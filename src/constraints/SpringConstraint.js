@@ -0,0 +1,74 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import Constraint, { WAKE_TOLERANCE } from './Constraint';
+
+// Velocity of a point in world coordinates, as it belongs to the given body
+const pointVelocity = (body, point) => {
+    if (!body) {
+        return new Vector(0, 0);
+    }
+    return point.sub(body.position).perp().scalar(body.angularVelocity).add(body.velocity);
+};
+
+/**
+ *    Damped spring between the anchor points of two bodies.
+ *    Unlike the other constraints, a spring does not correct the positions of the bodies,
+ *    but applies to them a force following the Hooke's law.
+ *
+ *    - `stiffness`: Elastic constant of the spring.
+ *    - `damping`: Damping coefficient, opposing the relative velocity of the anchor points.
+ *    - `length`: Rest length of the spring. If not given, the current distance
+ *      between the anchor points is used.
+ */
+export default class SpringConstraint extends Constraint {
+
+    /**
+     *    Constructs a new `SpringConstraint`.
+     *    @param {object} options - Options for the spring.
+     */
+    constructor(options) {
+        super(extend({
+            stiffness: 0.0001,
+            damping: 0.001
+        }, options));
+
+        if (typeof this.length !== 'number') {
+            this.length = this.worldPointB.sub(this.worldPointA).length();
+        }
+    }
+
+    applyForces() {
+
+        const { bodyA, bodyB } = this;
+        const pA = this.worldPointA;
+        const pB = this.worldPointB;
+        const delta = pB.sub(pA);
+        const distance = delta.length();
+        if (distance === 0) {
+            return;
+        }
+        const n = delta.scalar(1 / distance);
+
+        // Relative velocity of the anchor points along the spring
+        const relativeVelocity = pointVelocity(bodyB, pB).sub(pointVelocity(bodyA, pA)).dot(n);
+
+        // The spring pulls a sleeping body when the other end is moving
+        if (Math.abs(relativeVelocity) > WAKE_TOLERANCE) {
+            this._wakeBodies();
+        }
+
+        // Hooke's law, plus damping
+        const force = n.scalar(
+            this.stiffness * (distance - this.length) + this.damping * relativeVelocity
+        );
+
+        if (bodyA) {
+            bodyA.applyForce(force, pA);
+        }
+        if (bodyB) {
+            bodyB.applyForce(force.scalar(-1), pB);
+        }
+
+    }
+
+}
@@ -0,0 +1,55 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import DistanceConstraint from './DistanceConstraint';
+import RevoluteConstraint from './RevoluteConstraint';
+import SpringConstraint from './SpringConstraint';
+
+// Constraints that can be saved and loaded, by name
+const CONSTRAINTS = {
+    distance: DistanceConstraint,
+    revolute: RevoluteConstraint,
+    spring: SpringConstraint
+};
+
+/**
+ *    Converts a constraint to JSON, adding its type.
+ *    Only the builtin constraints are supported.
+ *    @param  {Constraint} constraint - Constraint to convert.
+ *    @return {object} The description of the constraint.
+ */
+export const constraintToJSON = (constraint) => {
+    const type = Object.keys(CONSTRAINTS).find(k => CONSTRAINTS[k] === constraint.constructor);
+    if (!type) {
+        throw new Error('Only the builtin constraints can be converted to JSON.');
+    }
+    return extend(constraint.toJSON(), { type });
+};
+
+/**
+ *    Creates a constraint from its description, as returned by `constraintToJSON`.
+ *    @param  {object} json - Description of the constraint.
+ *    @param  {Map} bodies - Bodies to attach the constraint to, by id.
+ *    @return {Constraint} The new constraint.
+ */
+export const constraintFromJSON = (json, bodies) => {
+    if (!CONSTRAINTS.hasOwnProperty(json.type)) {
+        throw new Error(`Unknown constraint type: ${json.type}.`);
+    }
+    const bodyOf = (id) => {
+        if (id === null) {
+            return null;
+        }
+        if (!bodies.has(id)) {
+            throw new Error(`The constraint is attached to a missing body: ${id}.`);
+        }
+        return bodies.get(id);
+    };
+    const options = extend({}, json, {
+        bodyA: bodyOf(json.bodyA),
+        bodyB: bodyOf(json.bodyB),
+        pointA: Vector.fromJSON(json.pointA),
+        pointB: Vector.fromJSON(json.pointB)
+    });
+    delete options.type;
+    return new CONSTRAINTS[json.type](options);
+};
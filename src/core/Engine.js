@@ -1,59 +1,74 @@
 import extend from 'extend';
 import EventEmitter from 'eventemitter3';
 import Vector from '../geometry/Vector';
-import * as Bounds from '../geometry/Bounds';
 import * as Collision from '../geometry/Collision';
-import { ISSLEEPING } from '../bodies/Body';
-
-const MOTION = Symbol('motion');
-const SLEEPING_COUNT = Symbol('sleepingCount');
-const SLEEPING_MAX_COUNT = 90;
-const SLEEPING_MAX_MOTION_FOR_SLEEP = 0.04;
-const SLEEPING_MIN_MOTION_FOR_WAKEUP = 0.09;
-
-/**
- *    Actually sets the `isSleeping` property of the given object,
- *    updating other needed properties and firing the events `sleepEnter` and `sleepExit`.
- */
-const setSleeping = (body, asleep) => {
-
-    if (body[ISSLEEPING] === asleep) {
-        return;
-    }
-
-    // Updates all the needed properties
-    body[ISSLEEPING] = asleep;
-    if (asleep) {
+import * as Bounds from '../geometry/Bounds';
+import BroadPhase from '../broadphase/BroadPhase';
+import BruteForce from '../broadphase/BruteForce';
+import Grid from '../broadphase/Grid';
+import SortAndSweep from '../broadphase/SortAndSweep';
+import * as Vertices from '../geometry/Vertices';
+import * as Circle from '../geometry/Circle';
+import Body, { MOTION, SLEEPING_COUNT, STEP_STATE, canSleep } from '../bodies/Body';
+import Composite from '../bodies/Composite';
+import Constraint from '../constraints/Constraint';
+import { constraintToJSON, constraintFromJSON } from '../constraints/serialization';
+import ForceGenerator from '../forces/ForceGenerator';
+import { forceGeneratorToJSON, forceGeneratorFromJSON } from '../forces/serialization';
 
-        // Zeroes all the velocities
-        body.previousPosition = body.position;
-        body.previousAngle = body.angle;
-        body.velocity = new Vector(0, 0);
-        body.angularVelocity = 0;
-        body[MOTION] = 0;
+// Version of the format produced by `Engine.toJSON`
+const SCHEMA_VERSION = 1;
 
-        body.emit('sleepEnter');
+// Time scale used in the last step, needed by the Verlet integration
+const LAST_TIME_SCALE = Symbol('lastTimeScale');
 
-    } else {
+// Number of sub-steps of the last update, needed to split its delta
+const LAST_SUB_STEPS = Symbol('lastSubSteps');
 
-        // Resets the sleep counter
-        body[SLEEPING_COUNT] = 0;
+// Collision filter used by the queries when not given, the same as the default one of bodies
+const QUERY_FILTER = { category: 0x0001, mask: 0xFFFFFFFF, group: 0 };
 
-        body.emit('sleepExit');
+// Broad phase algorithms that can be chosen by name
+const BROADPHASES = {
+    bruteForce: BruteForce,
+    grid: Grid,
+    sortAndSweep: SortAndSweep
+};
 
+/**
+ *    Returns an instance of the broad phase to use.
+ *    @param  {string|BroadPhase} broadphase - Name of one of the builtin broad phases,
+ *            or an instance of a custom one.
+ *    @return {BroadPhase} The broad phase instance.
+ */
+const createBroadPhase = (broadphase) => {
+    if (broadphase instanceof BroadPhase) {
+        return broadphase;
     }
-
+    if (!BROADPHASES.hasOwnProperty(broadphase)) {
+        throw new Error(`Unknown broad phase: ${broadphase}.`);
+    }
+    return new BROADPHASES[broadphase]();
 };
 
 /**
- *    Updates the property `isSleeping` of the given bodies.
+ *    Updates the counters used to decide when the given bodies can fall asleep.
+ *    Bodies with a force on them are woken up.
+ *    @param  {Body[]} bodies - Bodies to update.
+ *    @param  {object} options - Options of the engine.
+ *    @return {void}
  */
-const updateSleeping = (bodies) => {
+const updateSleeping = (bodies, options) => {
     for (const b of bodies) {
 
+        // Kinematic bodies are moved by the user, so they never fall asleep
+        if (b.isKinematic) {
+            continue;
+        }
+
         // If a body has a force on it, it must be awake
         if (b.force.x !== 0 || b.force.y !== 0 || b.torque !== 0) {
-            setSleeping(b, false);
+            b.wake();
             continue;
         }
 
@@ -69,21 +84,19 @@ const updateSleeping = (bodies) => {
         const maxMotion = Math.max(b[MOTION], motion);
         b[MOTION] = 0.9 * minMotion + 0.1 * maxMotion;
 
-        // Puts the body asleep if has very little motion for too much time
+        // Counts for how long the body had very little motion
         b[SLEEPING_COUNT] = b[SLEEPING_COUNT] || 0;
-        if (b[MOTION] < SLEEPING_MAX_MOTION_FOR_SLEEP) {
+        if (b[MOTION] < options.sleepMotion) {
 
-            // Note that the body must also have at least 2 contact points:
+            // Note that the body must also have enough contact points:
             // If we put asleep a body with only one conctact, we might end up with strange
             // cases where a body falls asleep while in balance on a vertex.
-            if (b[Collision.TOTAL_CONTACTS] >= 2) {
-                b[SLEEPING_COUNT] = Math.min(b[SLEEPING_COUNT] + 1, SLEEPING_MAX_COUNT);
-
-                if (b[SLEEPING_COUNT] >= SLEEPING_MAX_COUNT) {
-                    setSleeping(b, true);
-                }
+            // A circle instead always touches in a single point, and has no vertices.
+            const minContacts = b.isCircle ? 1 : options.sleepContacts;
+            if (b[Collision.TOTAL_CONTACTS] >= minContacts) {
+                b[SLEEPING_COUNT] = Math.min(b[SLEEPING_COUNT] + 1, options.sleepSteps);
             }
-            
+
         } else if (b[SLEEPING_COUNT] > 0) {
             b[SLEEPING_COUNT]--;
         }
@@ -92,9 +105,84 @@ const updateSleeping = (bodies) => {
 };
 
 /**
- *    Updates the `isSleeping` property of the bodies involved in collisions.
+ *    Groups the bodies in islands: sets of bodies connected by contacts or constraints.
+ *    Static and kinematic bodies are in no island.
+ *    @param  {Body[]} bodies - Bodies to group.
+ *    @param  {Map} pairs - Pairs of colliding bodies of the last step.
+ *    @param  {Constraint[]} constraints - Constraints between the bodies.
+ *    @return {Map} Map from each body to the array of the bodies of its island.
+ */
+const findIslands = (bodies, pairs, constraints) => {
+
+    // Union-find of the bodies, with path halving
+    const parents = new Map();
+    const find = (body) => {
+        while (parents.get(body) !== body) {
+            parents.set(body, parents.get(parents.get(body)));
+            body = parents.get(body);
+        }
+        return body;
+    };
+    const union = (body1, body2) => {
+        if (parents.has(body1) && parents.has(body2)) {
+            parents.set(find(body1), find(body2));
+        }
+    };
+
+    for (const b of bodies) {
+        if (canSleep(b)) {
+            parents.set(b, b);
+        }
+    }
+    for (const c of pairs.values()) {
+        union(c.body1, c.body2);
+    }
+    for (const c of constraints) {
+        union(c.bodyA, c.bodyB);
+    }
+
+    const roots = new Map();
+    const islands = new Map();
+    for (const b of parents.keys()) {
+        const root = find(b);
+        if (!roots.has(root)) {
+            roots.set(root, []);
+        }
+        roots.get(root).push(b);
+        islands.set(b, roots.get(root));
+    }
+    return islands;
+
+};
+
+/**
+ *    Puts asleep the islands in which all the bodies had little motion for long enough,
+ *    and wakes up completely the islands in which only some bodies are sleeping.
+ *    @param  {Map} islands - Islands of the bodies, as returned by `findIslands`.
+ *    @param  {object} options - Options of the engine.
+ *    @return {void}
+ */
+const updateIslands = (islands, options) => {
+    for (const island of new Set(islands.values())) {
+        if (island.every(b => b.isSleeping)) {
+            continue;
+        }
+        if (island.every(b => b[SLEEPING_COUNT] >= options.sleepSteps)) {
+            island.forEach(b => b.sleep());
+        } else if (island.some(b => b.isSleeping)) {
+            island.forEach(b => b.wake());
+        }
+    }
+};
+
+/**
+ *    Wakes up the islands of the sleeping bodies hit by other bodies.
+ *    @param  {object[]} collisions - Collisions of the current step.
+ *    @param  {Map} islands - Islands of the bodies, as returned by `findIslands`.
+ *    @param  {object} options - Options of the engine.
+ *    @return {void}
  */
-const updateSleepingCollisions = (collisions) => {
+const updateSleepingCollisions = (collisions, islands, options) => {
     for (const collision of collisions) {
 
         const { body1, body2 } = collision;
@@ -108,17 +196,377 @@ const updateSleepingCollisions = (collisions) => {
         // We are try to wake up someone before collision solving, so, who can we wake up?
         // One of the two bodies is awake and is colliding with the other (which is asleep),
         // so we check if the motion of the awake body is above the threshold, and wake up
-        // the other body.
+        // the other body, together with all the bodies of its island.
         const awakeBody = body1.isSleeping ? body2 : body1;
         const asleepBody = body1.isSleeping ? body1 : body2;
-        const awakeBodyMotion = awakeBody.velocity.lengthSquared() + awakeBody.angularVelocity * awakeBody.angularVelocity;
-        if (awakeBodyMotion > SLEEPING_MIN_MOTION_FOR_WAKEUP) {
-            setSleeping(asleepBody, false);
+        // A kinematic body is not stopped by the sleeping body, so it would pass through it:
+        // it wakes it up as soon as it moves, however slowly.
+        const awakeBodyMotion = awakeBody.velocity.lengthSquared() +
+            awakeBody.angularVelocity * awakeBody.angularVelocity;
+        const wakeMotion = awakeBody.isKinematic ? 0 : options.wakeMotion;
+        if (asleepBody.isSleeping && awakeBodyMotion > wakeMotion) {
+            (islands.get(asleepBody) || [asleepBody]).forEach(b => b.wake());
+        }
+
+    }
+};
+
+/**
+ *    Prevents the bodies marked as bullets from passing through still bodies
+ *    (static or sleeping) when moving too fast. Each bullet is moved back
+ *    to the first contact along its path, keeping its velocity, so that the collision
+ *    will be found and resolved by the narrow phase.
+ *    @param  {Body[]} bodies - Bodies of the engine.
+ *    @return {void}
+ */
+const solveContinuous = (bodies) => {
+    for (const bullet of bodies) {
+
+        if (!bullet.isBullet || !bullet.shouldUpdate || bullet.isParticle) {
+            continue;
+        }
+
+        // Finds the earliest time of impact with a still body
+        const motion = bullet.position.sub(bullet.previousPosition);
+        let toi = null;
+        for (const other of bodies) {
+            if (
+                other === bullet || other.shouldUpdate || other.isTrigger || other.isParticle ||
+                !Collision.canCollide(bullet.collisionFilter, other.collisionFilter)
+            ) {
+                continue;
+            }
+            const t = Collision.timeOfImpact(bullet, other, motion);
+            if (t !== null && (toi === null || t < toi)) {
+                toi = t;
+            }
+        }
+
+        if (toi !== null) {
+            const delta = motion.scalar(toi - 1);
+            bullet.translate(delta);
+            bullet.previousPosition = bullet.previousPosition.add(delta);
+        }
+
+    }
+};
+
+/**
+ *    Groups the collisions of a map of pairs by the pair of bodies involved,
+ *    keeping the first collision found between the parts of each pair of bodies.
+ *    @param  {Map} pairs - Map of the collisions, by pair of parts.
+ *    @return {Map} Map of the collisions, by pair of bodies.
+ */
+const byBodies = (pairs) => {
+    const result = new Map();
+    for (const c of pairs.values()) {
+        const id = Collision.pairId(c.body1, c.body2);
+        if (!result.has(id)) {
+            result.set(id, c);
+        }
+    }
+    return result;
+};
+
+/**
+ *    Compares the collisions found in this update with the pairs of parts
+ *    that were colliding in the previous one, and returns the new map of pairs
+ *    along with the collisions that started, are still active and ended.
+ *    The pairs are kept by pair of parts, but the collisions returned
+ *    are by pair of bodies: compound bodies touching with several parts
+ *    must only be reported once.
+ *    @param  {Map} pairs - Map of the collisions of the previous update, by pair of parts.
+ *    @param  {Array<object>} collisions - Collisions found in this update.
+ *    @param  {Array<Body>} bodies - Bodies in the engine.
+ *    @return {object} The new map of `pairs`, and the `started`, `active` and `ended`
+ *    arrays of collisions.
+ */
+const updatePairs = (pairs, collisions, bodies) => {
+
+    const current = new Map();
+    for (const c of collisions) {
+        current.set(c.id, c);
+    }
+
+    // Pairs of static or sleeping bodies are excluded from collision detection,
+    // but if they were colliding before they still are: their contact is still active.
+    // All the other pairs which have not been found again just ended.
+    const inEngine = new Set(bodies);
+    for (const [ id, c ] of pairs) {
+        if (current.has(id)) {
+            continue;
+        }
+        const { body1, body2 } = c;
+        if (
+            !body1.shouldUpdate && !body2.shouldUpdate &&
+            inEngine.has(body1) && inEngine.has(body2) &&
+            Collision.canCollide(body1.collisionFilter, body2.collisionFilter)
+        ) {
+            current.set(id, c);
+        }
+    }
+
+    const before = byBodies(pairs);
+    const after = byBodies(current);
+    const started = [];
+    const active = [];
+    const ended = [];
+    for (const [ id, c ] of after) {
+        if (before.has(id)) {
+            active.push(c);
+        } else {
+            started.push(c);
+        }
+    }
+    for (const [ id, c ] of before) {
+        if (!after.has(id)) {
+            ended.push(c);
+        }
+    }
+
+    return { pairs: current, started, active, ended };
+
+};
+
+/**
+ *    Fires a collision event both on the engine, with the array of all the collisions,
+ *    and on each of the bodies involved, with the single collision.
+ *    @param  {Engine} engine - Engine firing the event.
+ *    @param  {string} name - Name of the event.
+ *    @param  {object[]} collisions - Collisions of the event.
+ *    @return {void}
+ */
+const emitCollisionEvent = (engine, name, collisions) => {
+    if (collisions.length === 0) {
+        return;
+    }
+    for (const c of collisions) {
+        c.body1.emit(name, c);
+        c.body2.emit(name, c);
+    }
+    engine.emit(name, collisions);
+};
+
+/**
+ *    Returns a boolean value indicating whether a body can be found by a query
+ *    with the given collision filter and options.
+ *    @param  {Body} body - Body to test.
+ *    @param  {object} filter - Collision filter of the query.
+ *    @param  {object} options - Options of the query.
+ *    @return {boolean} `true` if the body can be found, `false` otherwise.
+ */
+const isQueryable = (body, filter, options) => {
+    return !body.isParticle && (options.includeTriggers || !body.isTrigger) &&
+        Collision.canCollide(filter, body.collisionFilter);
+};
+
+/**
+ *    Returns a flat array of the bodies, constraints and force generators in the given array,
+ *    which can also be nested and contain composites.
+ *    @param  {Array|Body|Constraint|Composite} objects - Objects to flatten.
+ *    @return {Array} The flat array of objects.
+ */
+const flatten = (objects) => {
+    if (!Array.isArray(objects)) {
+        objects = [objects];
+    }
+    return [].concat(...objects.map(o => {
+        if (Array.isArray(o)) {
+            return flatten(o);
+        }
+        if (o instanceof Composite) {
+            return o.allBodies().concat(o.allConstraints());
+        }
+        if (![ Body, Constraint, ForceGenerator ].some(Type => o instanceof Type)) {
+            throw new Error('Only bodies, constraints, force generators and composites ' +
+                'can be added to the engine.');
+        }
+        return [o];
+    }));
+};
+
+// Orders bodies and pairs of bodies by id
+const compareIds = (b1, b2) => b1.id - b2.id;
+const comparePairs = (p1, p2) => compareIds(p1[0], p2[0]) || compareIds(p1[1], p2[1]);
+
+/**
+ *    Computes a 32 bit FNV-1a hash of the exact binary representation of the given numbers.
+ *    @param  {number[]} numbers - Numbers to hash.
+ *    @return {string} The hash, as an hexadecimal string of 8 digits.
+ */
+const hashNumbers = (numbers) => {
+    const view = new DataView(new ArrayBuffer(8));
+    let hash = 0x811C9DC5;
+    for (const n of numbers) {
+        view.setFloat64(0, n);
+        for (let i = 0; i < 8; i++) {
+            hash = Math.imul(hash ^ view.getUint8(i), 0x01000193);
+        }
+    }
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+};
+
+/**
+ *    Identifies a pair of materials by their ids, whatever their order.
+ *    @param  {Material} material1 - First material.
+ *    @param  {Material} material2 - Second material.
+ *    @return {string} The id of the pair.
+ */
+const materialPairId = (material1, material2) => {
+    const ids = [ material1.id, material2.id ].sort((a, b) => a - b);
+    return `${ids[0]}:${ids[1]}`;
+};
+
+/**
+ *    Overrides the properties of the collisions between bodies with materials
+ *    for which a pair was set with `setMaterialPair`.
+ *    @param  {object[]} collisions - Collisions to update.
+ *    @param  {Map} materialPairs - Properties of the pairs of materials, by id.
+ *    @return {void}
+ */
+const applyMaterialPairs = (collisions, materialPairs) => {
+    if (materialPairs.size === 0) {
+        return;
+    }
+    for (const c of collisions) {
+        const { material: material1 } = c.body1;
+        const { material: material2 } = c.body2;
+        if (material1 && material2) {
+            extend(c, materialPairs.get(materialPairId(material1, material2)));
+        }
+    }
+};
+
+/**
+ *    Sets the number of solver iterations of each collision: the highest one
+ *    requested by its bodies, or the one of the engine if they don't request any.
+ *    @param  {object[]} collisions - Collisions to update.
+ *    @param  {object} options - Options of the engine.
+ *    @return {void}
+ */
+const setIterations = (collisions, options) => {
+    for (const c of collisions) {
+        for (const name of [ 'positionIterations', 'velocityIterations' ]) {
+            const requested = [ c.body1[name], c.body2[name] ].filter(n => typeof n === 'number');
+            c[name] = requested.length > 0 ? Math.max(...requested) : options[name];
         }
+    }
+};
 
+/**
+ *    Performs the iterations of a solver. At each iteration, only the collisions
+ *    which still need to be solved are passed to the solver.
+ *    @param  {object[]} collisions - Collisions to solve.
+ *    @param  {string} name - Name of the property with the number of iterations
+ *    of each collision.
+ *    @param  {function} solve - Solver to call at each iteration with the collisions.
+ *    @return {void}
+ */
+const iterate = (collisions, name, solve) => {
+    const iterations = collisions.reduce((max, c) => Math.max(max, c[name]), 0);
+    for (let i = 0; i < iterations; i++) {
+        solve(collisions.filter(c => c[name] > i));
     }
 };
 
+/**
+ *    Converts the options of the engine to JSON.
+ *    A custom broad phase is saved by name, so it will be created again with its default options.
+ *    @param  {object} options - Options of the engine.
+ *    @return {object} The description of the options.
+ */
+const optionsToJSON = (options) => {
+    const json = extend({}, options, { gravity: options.gravity.toJSON() });
+    if (options.broadphase instanceof BroadPhase) {
+        json.broadphase = Object.keys(BROADPHASES)
+            .find(k => BROADPHASES[k] === options.broadphase.constructor);
+        if (!json.broadphase) {
+            delete json.broadphase;
+        }
+    }
+    return json;
+};
+
+/**
+ *    Converts a collision to JSON. The parts are saved by id, and the contacts
+ *    with their accumulated impulses, used to warm start the next step.
+ *    @param  {object} c - Collision to convert.
+ *    @return {object} The description of the collision.
+ */
+const collisionToJSON = (c) => ({
+    part1: c.part1.id,
+    part2: c.part2.id,
+    depth: c.depth,
+    normal: c.normal.toJSON(),
+    contacts: c.contacts.map(contact => ({
+        id: contact.id,
+        vertex: contact.vertex.toJSON(),
+        normalImpulse: contact.normalImpulse || 0,
+        tangentImpulse: contact.tangentImpulse || 0
+    })),
+    slop: c.slop,
+    restitution: c.restitution,
+    restingThreshold: c.restingThreshold,
+    friction: c.friction,
+    staticFriction: c.staticFriction,
+    rollingFriction: c.rollingFriction,
+    rollingRadius: c.rollingRadius
+});
+
+/**
+ *    Creates a collision from its description, as returned by `collisionToJSON`.
+ *    @param  {object} json - Description of the collision.
+ *    @param  {Map} partsById - Bodies and parts of the engine, by id.
+ *    @return {object} The collision.
+ */
+const collisionFromJSON = (json, partsById) => {
+    const part1 = partsById.get(json.part1);
+    const part2 = partsById.get(json.part2);
+    const normal = Vector.fromJSON(json.normal);
+    return {
+        id: Collision.pairId(part1, part2),
+        body1: part1.parent || part1,
+        body2: part2.parent || part2,
+        part1,
+        part2,
+        colliding: true,
+        depth: json.depth,
+        normal,
+        tangent: normal.perp(),
+        penetrationVector: normal.scalar(json.depth),
+        contacts: json.contacts.map(contact => ({
+            id: contact.id,
+            vertex: Vector.fromJSON(contact.vertex),
+            normalImpulse: contact.normalImpulse,
+            tangentImpulse: contact.tangentImpulse
+        })),
+        slop: json.slop,
+        restitution: json.restitution,
+        restingThreshold: json.restingThreshold,
+        friction: json.friction,
+        staticFriction: json.staticFriction,
+        rollingFriction: json.rollingFriction,
+        rollingRadius: json.rollingRadius
+    };
+};
+
+/**
+ *    Returns a boolean value indicating whether the given body (or one of its parts)
+ *    contains the given point.
+ *    @param  {Body} body - Body to test.
+ *    @param  {Vector} point - Point to test.
+ *    @return {boolean} `true` if the point is in the body, `false` otherwise.
+ */
+const containsPoint = (body, point) => {
+    const parts = body.isCompound ? body.parts : [body];
+    return parts.some(p => {
+        if (p.isCircle) {
+            return Circle.contains(p.position, p.radius, point);
+        }
+        return Vertices.contains(p.vertices, point);
+    });
+};
+
 /**
  *    Core physics engine of `phy6-js`.
  *    This class is responsible for integration and collision detection and response.
@@ -129,43 +577,235 @@ export default class Engine extends EventEmitter {
 
     /**
      *    Constructs a new instance of an `Engine` with the given properties.
-     *    @param {Body[]} bodies - Bodies that will take part in the simulation.
+     *    @param {Array} bodies - Bodies (or constraints and composites) that will take part
+     *    in the simulation, as accepted by `add`.
      *    @param {object} options - Options to set.
      */
     constructor(bodies = [], options) {
         super();
-        this.bodies = bodies;
+        this.bodies = [];
+        this.constraints = [];
+        this.forceGenerators = [];
+        this.pairs = new Map();
+        this.materialPairs = new Map();
         this.options = extend({
             positionIterations: 10,
             velocityIterations: 15,
+            constraintIterations: 4,
+            subSteps: 1,
+            warmStarting: 1,
             gravity: new Vector(0, 0.001),
-            enableSleeping: true
+            enableSleeping: true,
+            sleepSteps: 90,
+            sleepMotion: 0.04,
+            wakeMotion: 0.09,
+            sleepContacts: 2,
+            broadphase: 'grid',
+            timeScale: 1,
+            deterministic: false
         }, options);
+        this.broadphase = createBroadPhase(this.options.broadphase);
+        this._isBroadphaseStale = true;
+        this._isUpdating = false;
+        this._pendingChanges = [];
+        this[LAST_TIME_SCALE] = null;
+        this[LAST_SUB_STEPS] = null;
+        this.add(bodies);
+    }
+
+    /**
+     *    Adds bodies, constraints and force generators to the simulation.
+     *    Composites are added with all their content, but the engine does not keep track
+     *    of them: the objects added to a composite later must be added to the engine too.
+     *    If called during an update (for example from an event handler),
+     *    the objects are added at the end of the update.
+     *    Fires the event `bodyAdded` (or `constraintAdded`, or `forceGeneratorAdded`)
+     *    for each object actually added.
+     *    @param {Body|Constraint|ForceGenerator|Composite|Array} objects - Object to add,
+     *    or array of objects.
+     *    @return {Engine} This engine.
+     */
+    add(objects) {
+        if (this._isUpdating) {
+            this._pendingChanges.push(() => this.add(objects));
+        } else {
+            flatten(objects).forEach(o => this._addObject(o));
+        }
+        return this;
+    }
+
+    /**
+     *    Removes bodies, constraints and force generators from the simulation.
+     *    Composites are removed with all their content.
+     *    If called during an update (for example from an event handler),
+     *    the objects are removed at the end of the update.
+     *    Fires the event `bodyRemoved` (or `constraintRemoved`, or `forceGeneratorRemoved`)
+     *    for each object actually removed.
+     *    @param {Body|Constraint|ForceGenerator|Composite|Array} objects - Object to remove,
+     *    or array of objects.
+     *    @return {Engine} This engine.
+     */
+    remove(objects) {
+        if (this._isUpdating) {
+            this._pendingChanges.push(() => this.remove(objects));
+        } else {
+            flatten(objects).forEach(o => this._removeObject(o));
+        }
+        return this;
+    }
+
+    /**
+     *    Removes all the bodies, constraints and force generators from the simulation.
+     *    As `remove`, if called during an update the objects are removed at its end.
+     *    @return {Engine} This engine.
+     */
+    clear() {
+        if (this._isUpdating) {
+            this._pendingChanges.push(() => this.clear());
+            return this;
+        }
+        return this.remove(this.bodies.concat(this.constraints, this.forceGenerators));
+    }
+
+    /**
+     *    Overrides the properties of the collisions between two materials, which are
+     *    otherwise combined from the ones of the bodies (see `Material`).
+     *    For example, rubber could be very bouncy only on rubber.
+     *    @param {Material} material1 - First material.
+     *    @param {Material} material2 - Second material.
+     *    @param {object} properties - Properties of the collisions between the two materials,
+     *    like `friction`, `staticFriction` and `restitution`. If `null`, the pair is removed.
+     *    @return {Engine} This engine.
+     */
+    setMaterialPair(material1, material2, properties) {
+        const id = materialPairId(material1, material2);
+        if (properties) {
+            this.materialPairs.set(id, extend({}, properties));
+        } else {
+            this.materialPairs.delete(id);
+        }
+        return this;
+    }
+
+    /**
+     *    `true` while the engine is performing a step of the simulation.
+     *    @type {boolean}
+     */
+    get isUpdating() {
+        return this._isUpdating;
     }
 
     /**
      *    Advances the physical simulation of `dt` seconds.
+     *    Bodies and constraints added or removed during the update
+     *    (for example from an event handler) are actually added or removed at its end.
+     *    The time is scaled by the option `timeScale`: a time scale of `0.5` makes
+     *    the simulation two times slower, while a time scale of `0` freezes it.
      *    @param {number|object} dt - Amount of time to advance the simulation.
      *    It can also be an object with properties `delta` and `lastDelta` for
      *    integration using the Time-Corrected Verlet method. If only a number is passed,
      *    `lastDelta` is assumed to be equal to `delta`.
+     *
+     *    If the option `subSteps` is greater than `1`, the time is split in as many
+     *    smaller steps, each one a complete step of the simulation firing all the usual
+     *    events. Smaller steps make the simulation more accurate (for example stacks
+     *    are more stable) at the cost of a proportionally slower update.
+     *
+     *    Before doing anything, the event `beforeUpdate` is fired with the time
+     *    to advance the simulation (before it is split in sub-steps),
+     *    as an object with properties `delta` and `lastDelta`.
      */
     update(dt) {
 
         if (typeof dt === 'number') {
             dt = { delta: dt, lastDelta: dt };
         }
+        this.emit('beforeUpdate', dt);
+
+        // The last delta was split too, maybe in a different number of sub-steps
+        const subSteps = Math.max(1, Math.floor(this.options.subSteps));
+        const lastSubSteps = this[LAST_SUB_STEPS] === null ? subSteps : this[LAST_SUB_STEPS];
+        const delta = dt.delta / subSteps;
+
+        // Remembers where the bodies start this update from, so that they can be drawn
+        // blended between two updates, whatever the number of sub-steps.
+        // A frozen world does not change at all, but its bodies must still be drawn
+        // where they are, and not blended with where they were before.
+        for (const b of this.bodies) {
+            b[STEP_STATE] = { position: b.position, angle: b.angle };
+        }
+
+        this._isUpdating = true;
+        try {
+            for (let i = 0; i < subSteps; i++) {
+                this._step({ delta, lastDelta: i === 0 ? dt.lastDelta / lastSubSteps : delta });
+            }
+
+            // The force generators which lasted long enough are removed only after all
+            // the sub-steps, so that their effect does not depend on the number of sub-steps
+            if (this.options.timeScale > 0) {
+                this.forceGenerators.filter(g => g.isExpired).forEach(g => this._removeObject(g));
+            }
+        } finally {
+            this._isUpdating = false;
+        }
+
+        // A frozen world did not actually perform any step
+        if (this.options.timeScale > 0) {
+            this[LAST_SUB_STEPS] = subSteps;
+        }
+
+        // Applies the changes to the world requested during the update
+        const changes = this._pendingChanges;
+        this._pendingChanges = [];
+        changes.forEach(change => change());
+
+    }
+
+    /**
+     *    Actually performs a step of the simulation.
+     *    @param  {object} dt - Amount of time to advance the simulation,
+     *    with the properties `delta` and `lastDelta`.
+     *    @return {void}
+     */
+    _step(dt) {
 
         const { options } = this;
+        const { timeScale } = options;
+
+        // A frozen world does not change at all
+        if (timeScale <= 0) {
+            return;
+        }
+
+        // In deterministic mode everything is done in the order of the ids of the bodies,
+        // whatever the order in which they were added and removed
+        if (options.deterministic) {
+            this.bodies.sort(compareIds);
+        }
+
+        // The current velocities of the bodies are the distance they moved in the last step,
+        // so the last delta must be scaled as it was then, not with the current scale
+        const lastTimeScale = this[LAST_TIME_SCALE] === null ? timeScale : this[LAST_TIME_SCALE];
+        dt = { delta: dt.delta * timeScale, lastDelta: dt.lastDelta * lastTimeScale };
+        this[LAST_TIME_SCALE] = timeScale;
 
         // We emit the `preUpdate` event to let the user change body properties
         // before the actual update. This step is crucial to let the forces change
         // at every update.
         this.emit('preUpdate');
 
-        // Updates the sleeping status of the bodies
+        // The forces set by the user are final now
+        this.emit('preIntegrate');
+
+        // Updates the sleeping status of the bodies.
+        // Bodies touching each other, directly or through other bodies, form an island:
+        // all the bodies of an island fall asleep and wake up together.
+        let islands = new Map();
         if (options.enableSleeping) {
-            updateSleeping(this.bodies);
+            updateSleeping(this.bodies, options);
+            islands = findIslands(this.bodies, this.pairs, this.constraints);
+            updateIslands(islands, options);
         }
 
         // Applies gravity to all the bodies
@@ -173,22 +813,44 @@ export default class Engine extends EventEmitter {
             b.force = b.force.add(options.gravity.scalar(b.mass));
         }
 
-        // Updates all the bodies
-        let i = 0;
-        while (i < this.bodies.length) {
-            const b = this.bodies[i];
-            if (b.shouldUpdate) {
+        // Applies the forces generated by the constraints (like springs)
+        for (const c of this.constraints) {
+            c.applyForces();
+        }
+
+        // Applies the force generators
+        for (const g of this.forceGenerators) {
+            g.apply(this, dt);
+        }
+
+        // Updates all the bodies, including the kinematic ones which move on their own
+        const dead = [];
+        for (const b of this.bodies) {
+            if (b.shouldUpdate || b.isKinematic) {
                 b.update(dt);
 
-                // If the body was a particle, and it died, remove it from the engine
+                // If the body was a particle, and it died, it must be removed from the engine
                 if (b.isParticle && b.ttl <= 0) {
-                    this.bodies.splice(i, 1);
-                    continue; // Do not increment counter
+                    dead.push(b);
                 }
 
             }
-            i++;
         }
+        for (const b of dead) {
+            this._removeObject(b);
+        }
+
+        // Solve iteratively the constraints between the bodies.
+        // This is done before collision detection, so that the collision response
+        // has the final word on the positions of the bodies.
+        for (let iteration = 0; iteration < options.constraintIterations; iteration++) {
+            for (const c of this.constraints) {
+                c.solvePosition();
+            }
+        }
+
+        // Fast bodies could have passed through other bodies during this step
+        solveContinuous(this.bodies);
 
         // This is the time to perform collision detection.
         // The collision detection is essentially split in two phases:
@@ -201,49 +863,31 @@ export default class Engine extends EventEmitter {
         //   A full SAT will be performed for each pair here.
 
         // So, broad phase.
-        // Particles are excluded from collisions immediately.
-        const collisionCandidates = [];
-        for (const b1 of this.bodies) {
-            if (b1.isParticle) {
-                continue;
-            }
-            for (const b2 of this.bodies) {
-                if (b2.isParticle) {
-                    continue;
-                }
-                if (b1 !== b2 && Bounds.overlap(b1.bounds, b2.bounds)) {
-
-                    // Do not consider static or sleeping objects colliding toghether
-                    if (!b1.shouldUpdate && !b2.shouldUpdate) {
-                        continue;
-                    }
-
-                    // Before adding the pair, just be sure that the same pair
-                    // but reversed has not already been added to the array
-                    let doPush = true;
-                    for (const c of collisionCandidates) {
-                        if ((c[0] == b2 && c[1] == b1) || (c[0] == b1 && c[1] == b2)) {
-                            doPush = false;
-                            break;
-                        }
-                    }
-                    if (doPush) {
-                        collisionCandidates.push([ b1, b2 ]);
-                    }
-
-                }
-            }
+        // The actual algorithm is delegated to `this.broadphase`, which also takes care
+        // of excluding particles and pairs of static or sleeping bodies.
+        this.broadphase.update(this.bodies);
+        const collisionCandidates = this.broadphase.pairs();
+        if (options.deterministic) {
+            collisionCandidates.sort(comparePairs);
         }
 
         // And now, narrow phase.
+        // Compound bodies are tested part by part, so a pair can have more than one collision.
         const collisions = [];
         for (const pair of collisionCandidates) {
-            const collisionData = Collision.test(pair[0], pair[1]);
-            if (collisionData.colliding) {
-                collisions.push(collisionData);
-            }
+            collisions.push(...Collision.collide(pair[0], pair[1]));
         }
 
+        // The materials can have specific properties when colliding with each other
+        applyMaterialPairs(collisions, this.materialPairs);
+
+        // The number of iterations can be different for each collision.
+        // The `preSolve` event lets the user change the properties of the collisions
+        // before they are solved, like `slop`, `restitution`, `friction`,
+        // `restingThreshold` and the iterations.
+        setIterations(collisions, options);
+        this.emit('preSolve', collisions);
+
         // Prepare collisions for position solving.
         // This step is done before the sleeping because if computes the number
         // of contacts for each body.
@@ -251,18 +895,21 @@ export default class Engine extends EventEmitter {
 
         // Updates the sleeping status of the bodies involved in collisions
         if (options.enableSleeping) {
-            updateSleepingCollisions(collisions);
+            updateSleepingCollisions(collisions, islands, options);
         }
 
         // Solve iteratively the collision positions
-        for (let i = 0; i < options.positionIterations; i++) {
-            Collision.solvePosition(collisions);
-        }
+        iterate(collisions, 'positionIterations', Collision.solvePosition);
         Collision.postSolvePosition(this.bodies);
 
+        // The contacts which persist from the last step start from the impulses they had
+        Collision.warmStart(collisions, this.pairs, options.warmStarting);
+
         // Solve iteratively the collision velocities
-        for (let i = 0; i < options.velocityIterations; i++) {
-            Collision.solveVelocity(collisions);
+        iterate(collisions, 'velocityIterations', Collision.solveVelocity);
+        Collision.postSolveVelocity(collisions, dt);
+        for (const c of this.constraints) {
+            c.solveVelocity();
         }
 
         // Fires the `collision` event on the colliding objects
@@ -271,14 +918,419 @@ export default class Engine extends EventEmitter {
             c.body2.emit('collision', c);
         }
 
+        // Tracks the pairs of colliding bodies between updates, to notify
+        // when a collision starts and ends
+        const { pairs, started, active, ended } = updatePairs(this.pairs, collisions, this.bodies);
+        this.pairs = pairs;
+        emitCollisionEvent(this, 'collisionStart', started);
+        emitCollisionEvent(this, 'collisionActive', active);
+        emitCollisionEvent(this, 'collisionEnd', ended);
+
         // Resets the force on all the bodies
         for (const b of this.bodies) {
             b.force = new Vector(0, 0);
             b.torque = 0;
         }
 
+        // The bodies moved after the broad phase, so its structures must be updated
+        // before being used by the queries
+        this._isBroadphaseStale = true;
+
         this.emit('update', collisions);
 
     }
 
+    /**
+     *    Finds all the bodies hit by a segment.
+     *    Each hit is an object as returned by `Collision.raycast`,
+     *    with the properties `body`, `part`, `point`, `normal` and `fraction`.
+     *
+     *    The following options are supported, here and by all the other queries:
+     *    - `collisionFilter`: Collision filter of the query, with the same format
+     *      used by bodies. Only bodies which can collide with it are found.
+     *    - `includeTriggers`: Whether to find trigger bodies or not. Defaults to `false`.
+     *
+     *    @param  {Vector} from - Starting point of the segment.
+     *    @param  {Vector} to - Ending point of the segment.
+     *    @param  {object} [options] - Options of the query.
+     *    @return {object[]} The hits, sorted by distance from the starting point.
+     */
+    raycast(from, to, options = {}) {
+
+        const filter = extend({}, QUERY_FILTER, options.collisionFilter);
+        const bounds = Bounds.fromVertices([ from, to ]);
+
+        const hits = [];
+        for (const b of this._queryCandidates(bounds, filter, options)) {
+            const hit = Collision.raycast(b, from, to);
+            if (hit) {
+                hits.push(hit);
+            }
+        }
+
+        return hits.sort((a, b) => a.fraction - b.fraction);
+
+    }
+
+    /**
+     *    Sweeps a body along the given motion, and finds all the bodies it would hit.
+     *    The body does not need to be part of the engine, and its collision filter
+     *    is used to choose the bodies which can be hit.
+     *    Each hit is an object as returned by `Collision.shapecast`,
+     *    with the properties `body`, `part`, `point`, `normal` and `fraction`.
+     *    Note that the bodies already touching the shape at its starting position are not hit.
+     *    Supports the option `includeTriggers`.
+     *
+     *    @param  {Body} shape - Body to sweep, in its starting position.
+     *    @param  {Vector} motion - Translation of the body.
+     *    @param  {object} [options] - Options of the query.
+     *    @return {object[]} The hits, sorted by distance from the starting position.
+     */
+    shapecast(shape, motion, options = {}) {
+
+        const bounds = Bounds.union([ shape.bounds, Bounds.translate(shape.bounds, motion) ]);
+
+        const hits = [];
+        for (const b of this._queryCandidates(bounds, shape.collisionFilter, options)) {
+            const hit = b !== shape && Collision.shapecast(shape, b, motion);
+            if (hit) {
+                hits.push(hit);
+            }
+        }
+
+        return hits.sort((a, b) => a.fraction - b.fraction);
+
+    }
+
+    /**
+     *    Finds all the bodies containing the given point.
+     *    @param  {Vector} point - Point to test.
+     *    @param  {object} [options] - Options of the query, see `raycast`.
+     *    @return {Body[]} The bodies found.
+     */
+    queryPoint(point, options = {}) {
+        const filter = extend({}, QUERY_FILTER, options.collisionFilter);
+        return this._queryCandidates({ min: point, max: point }, filter, options)
+            .filter(b => containsPoint(b, point));
+    }
+
+    /**
+     *    Finds all the bodies whose bounds overlap the given ones.
+     *    @param  {Bounds} bounds - Bounds of the region to test.
+     *    @param  {object} [options] - Options of the query, see `raycast`.
+     *    @return {Body[]} The bodies found.
+     */
+    queryBounds(bounds, options = {}) {
+        const filter = extend({}, QUERY_FILTER, options.collisionFilter);
+        return this._queryCandidates(bounds, filter, options);
+    }
+
+    /**
+     *    Finds all the bodies intersecting the given polygon, which may also be concave.
+     *    @param  {Vector[]} vertices - Vertices of the polygon, in world coordinates.
+     *    @param  {object} [options] - Options of the query, see `raycast`.
+     *    @return {Body[]} The bodies found.
+     */
+    queryPolygon(vertices, options = {}) {
+        return this._queryShape({ vertices }, options);
+    }
+
+    /**
+     *    Finds all the bodies intersecting the given circle.
+     *    @param  {Vector} center - Center of the circle.
+     *    @param  {number} radius - Radius of the circle.
+     *    @param  {object} [options] - Options of the query, see `raycast`.
+     *    @return {Body[]} The bodies found.
+     */
+    queryCircle(center, radius, options = {}) {
+        return this._queryShape({ position: center, radius }, options);
+    }
+
+    /**
+     *    Finds all the bodies which were in contact with the given one during the last update.
+     *    @param  {Body} body - Body to test.
+     *    @param  {object} [options] - Options of the query, see `raycast`.
+     *    @return {Body[]} The bodies found.
+     */
+    queryContacts(body, options = {}) {
+        const filter = extend({}, QUERY_FILTER, options.collisionFilter);
+        const found = new Set();
+        for (const c of this.pairs.values()) {
+            if (c.body1 !== body && c.body2 !== body) {
+                continue;
+            }
+            const other = c.body1 === body ? c.body2 : c.body1;
+            if (isQueryable(other, filter, options)) {
+                found.add(other);
+            }
+        }
+        return Array.from(found);
+    }
+
+    /**
+     *    Takes a snapshot of the current state of the simulation, which can be restored later
+     *    with `restore`. The snapshot contains the bodies, constraints and force generators
+     *    in the engine, the state of each body (see `Body.saveState`), including the counters
+     *    used to put it asleep, the time of each force generator, and the pairs of colliding
+     *    bodies with their contacts and impulses.
+     *    Snapshots are kept in memory and are cheap to take, so that they can be used
+     *    to roll back the simulation, for example to correct a prediction in a networked game.
+     *    Changes to the options of the engine and of the bodies (like the mass or the material)
+     *    are not captured.
+     *    @return {object} The snapshot.
+     */
+    snapshot() {
+        return {
+            bodies: this.bodies.map(b => ({
+                body: b,
+                state: b.saveState(),
+                motion: b[MOTION],
+                sleepingCount: b[SLEEPING_COUNT],
+                totalContacts: b[Collision.TOTAL_CONTACTS]
+            })),
+            constraints: this.constraints.slice(),
+            forceGenerators: this.forceGenerators.map(g => ({ generator: g, time: g.time })),
+            pairs: new Map(this.pairs),
+            lastTimeScale: this[LAST_TIME_SCALE],
+            lastSubSteps: this[LAST_SUB_STEPS]
+        };
+    }
+
+    /**
+     *    Brings the simulation back to a snapshot taken with `snapshot`.
+     *    The objects added after the snapshot are removed, and the ones removed
+     *    after the snapshot are added again, firing the usual events. The sleeping state
+     *    of the bodies is restored as it was, without firing `sleepEnter` and `sleepExit`.
+     *    The same snapshot can be restored any number of times.
+     *    As `add`, if called during an update the snapshot is restored at its end.
+     *    @param  {object} snapshot - Snapshot to restore.
+     *    @return {Engine} This engine.
+     */
+    restore(snapshot) {
+        if (this._isUpdating) {
+            this._pendingChanges.push(() => this.restore(snapshot));
+            return this;
+        }
+
+        const bodies = snapshot.bodies.map(s => s.body);
+        const generators = snapshot.forceGenerators.map(s => s.generator);
+        const objects = bodies.concat(snapshot.constraints, generators);
+        const inSnapshot = new Set(objects);
+
+        // The sleeping state is restored below, so the removals must not wake up anyone
+        this.bodies.concat(this.constraints, this.forceGenerators)
+            .filter(o => !inSnapshot.has(o))
+            .forEach(o => this._removeObject(o, false));
+        objects.forEach(o => this._addObject(o));
+
+        // The order matters for the solvers, so it's restored too
+        this.bodies = bodies.slice();
+        this.constraints = snapshot.constraints.slice();
+        this.forceGenerators = generators;
+        for (const s of snapshot.forceGenerators) {
+            s.generator.time = s.time;
+        }
+        for (const s of snapshot.bodies) {
+            s.body.restoreState(s.state);
+            s.body[MOTION] = s.motion;
+            s.body[SLEEPING_COUNT] = s.sleepingCount;
+            s.body[Collision.TOTAL_CONTACTS] = s.totalContacts;
+        }
+        this.pairs = new Map(snapshot.pairs);
+        this[LAST_TIME_SCALE] = snapshot.lastTimeScale;
+        this[LAST_SUB_STEPS] = snapshot.lastSubSteps;
+        this._isBroadphaseStale = true;
+
+        return this;
+    }
+
+    /**
+     *    Computes a hash of the state of the bodies: their ids, position, angle,
+     *    previous position and angle (which determine the velocities) and sleeping state.
+     *    The hash is computed on the exact binary values, so even the smallest difference
+     *    changes it: two runs of a deterministic engine with the same inputs must always
+     *    produce the same hashes.
+     *    @return {string} The hash, as an hexadecimal string.
+     */
+    stateHash() {
+        const numbers = [];
+        for (const b of this.bodies.slice().sort(compareIds)) {
+            numbers.push(
+                b.id,
+                b.position.x, b.position.y, b.angle,
+                b.previousPosition.x, b.previousPosition.y, b.previousAngle,
+                b.isSleeping ? 1 : 0
+            );
+        }
+        return hashNumbers(numbers);
+    }
+
+    /**
+     *    Returns a plain object describing the whole state of the engine,
+     *    which can be converted to JSON and loaded again with `Engine.fromJSON`.
+     *    It contains the options, the pairs of materials, all the bodies (see `Body.toJSON`),
+     *    all the constraints and force generators, and the pairs of colliding bodies,
+     *    with the impulses used to warm start the next step.
+     *    Only the builtin constraints and force generators are supported.
+     *    @return {object} The description of the engine.
+     */
+    toJSON() {
+        return {
+            version: SCHEMA_VERSION,
+            options: optionsToJSON(this.options),
+            lastTimeScale: this[LAST_TIME_SCALE],
+            lastSubSteps: this[LAST_SUB_STEPS],
+            bodies: this.bodies.map(b => extend(b.toJSON(), {
+                motion: b[MOTION] || 0,
+                sleepingCount: b[SLEEPING_COUNT] || 0,
+                totalContacts: b[Collision.TOTAL_CONTACTS] || 0
+            })),
+            constraints: this.constraints.map(constraintToJSON),
+            forceGenerators: this.forceGenerators.map(forceGeneratorToJSON),
+            materialPairs: Array.from(this.materialPairs),
+            pairs: Array.from(this.pairs.values()).map(collisionToJSON)
+        };
+    }
+
+    /**
+     *    Creates an engine from its description, as returned by `toJSON`.
+     *    @param  {object} json - Description of the engine.
+     *    @param  {object} [options] - Options overriding the saved ones.
+     *    @return {Engine} The new engine.
+     */
+    static fromJSON(json, options) {
+
+        if (json.version !== SCHEMA_VERSION) {
+            throw new Error(`Unsupported version of the engine state: ${json.version}.`);
+        }
+
+        // The bodies sharing a material must share it again
+        const materials = new Map();
+        const bodies = json.bodies.map(b => {
+            const body = Body.fromJSON(b, materials);
+            body[MOTION] = b.motion;
+            body[SLEEPING_COUNT] = b.sleepingCount;
+            body[Collision.TOTAL_CONTACTS] = b.totalContacts;
+            return body;
+        });
+        const bodiesById = new Map(bodies.map(b => [ b.id, b ]));
+        const constraints = json.constraints.map(c => constraintFromJSON(c, bodiesById));
+        const generators = (json.forceGenerators || [])
+            .map(g => forceGeneratorFromJSON(g, bodiesById));
+
+        const engineOptions = extend({}, json.options, {
+            gravity: Vector.fromJSON(json.options.gravity)
+        }, options);
+        const engine = new Engine(bodies.concat(constraints, generators), engineOptions);
+        engine[LAST_TIME_SCALE] = json.lastTimeScale;
+        engine[LAST_SUB_STEPS] = json.lastSubSteps;
+        engine.materialPairs = new Map(json.materialPairs || []);
+
+        // The pairs of colliding parts, with the impulses of their contacts
+        const partsById = new Map();
+        for (const b of bodies) {
+            for (const p of [b].concat(b.parts)) {
+                partsById.set(p.id, p);
+            }
+        }
+        const pairs = (json.pairs || []).map(c => collisionFromJSON(c, partsById));
+        engine.pairs = new Map(pairs.map(c => [ c.id, c ]));
+
+        return engine;
+
+    }
+
+    /**
+     *    Returns the list in which the given object is stored, and the name used
+     *    in the events about it.
+     *    @param  {Body|Constraint|ForceGenerator} object - Object to store.
+     *    @return {Array} The list and the name.
+     */
+    _listOf(object) {
+        if (object instanceof Constraint) {
+            return [ this.constraints, 'constraint' ];
+        }
+        if (object instanceof ForceGenerator) {
+            return [ this.forceGenerators, 'forceGenerator' ];
+        }
+        return [ this.bodies, 'body' ];
+    }
+
+    /**
+     *    Adds a single body, constraint or force generator to the engine,
+     *    if it's not already there.
+     *    @param  {Body|Constraint|ForceGenerator} object - Object to add.
+     *    @return {void}
+     */
+    _addObject(object) {
+        const [ list, name ] = this._listOf(object);
+        if (!list.includes(object)) {
+            list.push(object);
+            this._isBroadphaseStale = true;
+            this.emit(`${name}Added`, object);
+        }
+    }
+
+    /**
+     *    Removes a single body, constraint or force generator from the engine, if it's there.
+     *    @param  {Body|Constraint|ForceGenerator} object - Object to remove.
+     *    @param  {boolean} [wake] - Whether to wake up the bodies resting on the removed body,
+     *            or held by the removed constraint. Defaults to `true`.
+     *    @return {void}
+     */
+    _removeObject(object, wake = true) {
+        const [ list, name ] = this._listOf(object);
+        const index = list.indexOf(object);
+        if (index >= 0) {
+            list.splice(index, 1);
+            this._isBroadphaseStale = true;
+
+            // The bodies resting on a removed body, or held by a removed constraint, must fall
+            if (wake && object instanceof Constraint) {
+                [ object.bodyA, object.bodyB ].filter(b => b).forEach(b => b.wake());
+            } else if (wake && object instanceof Body) {
+                Array.from(this.pairs.values())
+                    .filter(c => c.body1 === object || c.body2 === object)
+                    .forEach(c => [ c.body1, c.body2 ].forEach(b => b.wake()));
+            }
+
+            this.emit(`${name}Removed`, object);
+        }
+    }
+
+    /**
+     *    Finds the bodies intersecting a shape, described by the options of a body.
+     *    @param  {object} shapeOptions - Options of the body with the shape to test.
+     *    @param  {object} options - Options of the query.
+     *    @return {Body[]} The bodies found.
+     */
+    _queryShape(shapeOptions, options) {
+
+        // The shape is just a body used for the collision tests.
+        // It is not part of the simulation, so it does not need an unique id.
+        const filter = extend({}, QUERY_FILTER, options.collisionFilter);
+        const shape = new Body(extend({ id: -1, collisionFilter: filter }, shapeOptions));
+
+        return this._queryCandidates(shape.bounds, filter, options)
+            .filter(b => Collision.collide(shape, b).length > 0);
+
+    }
+
+    /**
+     *    Returns the bodies whose bounds overlap the given ones, and which can be found
+     *    by a query with the given collision filter and options.
+     *    Uses the structures of the broad phase, updating them if the bodies moved.
+     *    @param  {object} bounds - Bounds to test.
+     *    @param  {object} filter - Collision filter of the query.
+     *    @param  {object} options - Options of the query.
+     *    @return {Body[]} The candidates found.
+     */
+    _queryCandidates(bounds, filter, options) {
+        if (this._isBroadphaseStale) {
+            this.broadphase.update(this.bodies);
+            this._isBroadphaseStale = false;
+        }
+        return this.broadphase.query(bounds).filter(b => isQueryable(b, filter, options));
+    }
+
 }
@@ -0,0 +1,181 @@
+import EventEmitter from 'eventemitter3';
+import autobind from 'autobind-decorator';
+import Vector from '../geometry/Vector';
+import Body from '../bodies/Body';
+import { constraintFromJSON } from '../constraints/serialization';
+import { forceGeneratorFromJSON } from '../forces/serialization';
+import Engine from './Engine';
+import { RECORDING_VERSION } from './Recorder';
+
+/**
+ *    Replays a recording made by a `Recorder`.
+ *
+ *    The player creates a new engine from the initial state of the recording,
+ *    and performs the same updates with the same inputs. Whenever a hash of the state
+ *    was recorded, it is compared with the one of the replay: if they differ,
+ *    the replay diverged, and the event `mismatch` is fired with the number of the step
+ *    and the `expected` and `actual` hashes. The event `end` is fired when the whole
+ *    recording has been replayed.
+ */
+export default class Player extends EventEmitter {
+
+    /**
+     *    Creates a new `Player` for the given recording.
+     *    @param {object} recording - Recording to replay, as returned by `Recorder.stop`.
+     *    @param {object} [options] - Options for the engine, overriding the recorded ones.
+     */
+    constructor(recording, options) {
+        super();
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported version of the recording: ${recording.version}.`);
+        }
+        this._recording = recording;
+
+        /**
+         *    Engine in which the recording is replayed.
+         *    @type {Engine}
+         */
+        this.engine = Engine.fromJSON(recording.engine, options);
+        this.engine.on('preIntegrate', this._onPreIntegrate);
+
+        // Index of the next sub-step of the current update, to find its forces
+        this._integration = 0;
+
+        /**
+         *    Number of steps (calls to `update`) replayed so far.
+         *    @type {number}
+         */
+        this.currentStep = 0;
+
+        /**
+         *    Whether the whole recording has been replayed.
+         *    @type {boolean}
+         */
+        this.isFinished = false;
+
+        /**
+         *    All the mismatches found so far.
+         *    @type {object[]}
+         */
+        this.mismatches = [];
+    }
+
+    /**
+     *    Replays the next step of the recording.
+     *    After the last step, the changes made at the end of the recording are applied
+     *    and the final state is checked.
+     *    @return {boolean} `false` if the recording was already finished, `true` otherwise.
+     */
+    step() {
+        const { steps, end } = this._recording;
+        if (this.isFinished) {
+            return false;
+        }
+
+        if (this.currentStep < steps.length) {
+            const step = steps[this.currentStep];
+            this._applyChanges(step.changes);
+            if (typeof step.hash === 'string') {
+                this._check(step.hash);
+            }
+            this.engine.options.timeScale = step.timeScale;
+            this.engine.options.subSteps = step.subSteps;
+            this._integration = 0;
+            this.engine.update(step.dt);
+            this.currentStep++;
+        }
+
+        if (this.currentStep === steps.length) {
+            this._applyChanges(end.changes);
+            this._check(end.hash);
+            this.isFinished = true;
+            this.emit('end');
+        }
+
+        return true;
+    }
+
+    /**
+     *    Replays all the remaining steps of the recording.
+     *    @return {boolean} `true` if the replay never diverged from the recording.
+     */
+    play() {
+        while (this.step()) {
+            // Just keep going
+        }
+        return this.mismatches.length === 0;
+    }
+
+    /**
+     *    Sets the forces recorded for the current sub-step of the update.
+     *    @return {void}
+     */
+    @autobind
+    _onPreIntegrate() {
+        const forces = this._recording.steps[this.currentStep].forces[this._integration];
+        this._integration++;
+        const bodies = new Map(this.engine.bodies.map(b => [ b.id, b ]));
+        for (const b of this.engine.bodies) {
+            b.force = new Vector(0, 0);
+            b.torque = 0;
+        }
+        for (const [ id, x, y, torque ] of forces) {
+            const b = bodies.get(id);
+            b.force = new Vector(x, y);
+            b.torque = torque;
+        }
+    }
+
+    /**
+     *    Applies to the engine the recorded additions and removals of objects.
+     *    @param  {object[]} changes - Recorded changes.
+     *    @return {void}
+     */
+    _applyChanges(changes) {
+        const { engine } = this;
+
+        // The constraints and force generators can refer to bodies added together with them
+        const added = changes.filter(c => c.type === 'addBody').map(c => Body.fromJSON(c.body));
+        const bodies = new Map(engine.bodies.concat(added).map(b => [ b.id, b ]));
+
+        for (const change of changes) {
+            switch (change.type) {
+                case 'addBody':
+                    engine.add(added.shift());
+                    break;
+                case 'removeBody':
+                    engine.remove(bodies.get(change.id));
+                    break;
+                case 'addConstraint':
+                    engine.add(constraintFromJSON(change.constraint, bodies));
+                    break;
+                case 'removeConstraint':
+                    engine.remove(engine.constraints[change.index]);
+                    break;
+                case 'addForceGenerator':
+                    engine.add(forceGeneratorFromJSON(change.generator, bodies));
+                    break;
+                case 'removeForceGenerator':
+                    engine.remove(engine.forceGenerators[change.index]);
+                    break;
+                default:
+                    throw new Error(`Unknown change in the recording: ${change.type}.`);
+            }
+        }
+    }
+
+    /**
+     *    Compares the current state of the engine with the recorded one.
+     *    @param  {string} expected - Recorded hash.
+     *    @return {void}
+     */
+    _check(expected) {
+        const actual = this.engine.stateHash();
+        if (actual !== expected) {
+            const mismatch = { step: this.currentStep, expected, actual };
+            this.mismatches.push(mismatch);
+            this.emit('mismatch', mismatch);
+        }
+    }
+
+}
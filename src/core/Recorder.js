@@ -0,0 +1,188 @@
+import extend from 'extend';
+import autobind from 'autobind-decorator';
+import { constraintToJSON } from '../constraints/serialization';
+import { forceGeneratorToJSON } from '../forces/serialization';
+
+/**
+ *    Version of the format of the recordings.
+ *    @type {number}
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ *    Records a run of a deterministic engine, so that it can be replayed by a `Player`.
+ *
+ *    The recording contains the initial state of the engine (see `Engine.toJSON`)
+ *    and, as its steps, the inputs given to the engine at each call to `update`:
+ *    - the time passed to `update`, and the time scale and number of sub-steps of the engine;
+ *    - the forces and torques on the bodies when they are integrated, in each sub-step,
+ *      like the ones applied in the handlers of the `preUpdate` event;
+ *    - the bodies, constraints and force generators added or removed since the previous update.
+ *    Every `hashInterval` updates, the hash of the state of the bodies before the update
+ *    is recorded too (see `Engine.stateHash`), so that the player can check that
+ *    the replay does not diverge.
+ *
+ *    Any other change to the engine (like moving a body by hand, or changing its options)
+ *    is not recorded, and will make the replay diverge.
+ *    The recording is a plain object, which can be converted to JSON.
+ */
+export default class Recorder {
+
+    /**
+     *    Creates a new `Recorder` for the given engine.
+     *    @param {Engine} engine - Engine to record. It must be in deterministic mode.
+     *    @param {object} options - Options for the recorder.
+     */
+    constructor(engine, options) {
+        if (!engine.options.deterministic) {
+            throw new Error('Only deterministic engines can be recorded.');
+        }
+        this._engine = engine;
+        this._options = extend({
+            hashInterval: 1
+        }, options);
+
+        /**
+         *    The current recording, or `null` if the recorder was never started.
+         *    @type {object}
+         */
+        this.recording = null;
+    }
+
+    /**
+     *    Starts recording, from the current state of the engine.
+     *    @return {void}
+     */
+    start() {
+        const { _engine: engine } = this;
+        this.recording = {
+            version: RECORDING_VERSION,
+            engine: engine.toJSON(),
+            steps: [],
+            end: null
+        };
+        this._changes = [];
+
+        // The constraints and force generators have no id,
+        // so they are identified by their index in the engine
+        this._constraints = engine.constraints.slice();
+        this._forceGenerators = engine.forceGenerators.slice();
+
+        engine.on('beforeUpdate', this._onBeforeUpdate);
+        engine.on('preIntegrate', this._onPreIntegrate);
+        engine.on('bodyAdded', this._onBodyAdded);
+        engine.on('bodyRemoved', this._onBodyRemoved);
+        engine.on('constraintAdded', this._onConstraintAdded);
+        engine.on('constraintRemoved', this._onConstraintRemoved);
+        engine.on('forceGeneratorAdded', this._onForceGeneratorAdded);
+        engine.on('forceGeneratorRemoved', this._onForceGeneratorRemoved);
+    }
+
+    /**
+     *    Stops recording.
+     *    @return {object} The recording.
+     */
+    stop() {
+        const { _engine: engine } = this;
+        engine.removeListener('beforeUpdate', this._onBeforeUpdate);
+        engine.removeListener('preIntegrate', this._onPreIntegrate);
+        engine.removeListener('bodyAdded', this._onBodyAdded);
+        engine.removeListener('bodyRemoved', this._onBodyRemoved);
+        engine.removeListener('constraintAdded', this._onConstraintAdded);
+        engine.removeListener('constraintRemoved', this._onConstraintRemoved);
+        engine.removeListener('forceGeneratorAdded', this._onForceGeneratorAdded);
+        engine.removeListener('forceGeneratorRemoved', this._onForceGeneratorRemoved);
+
+        // The changes after the last step are kept, so that the final state can be checked
+        this.recording.end = {
+            changes: this._changes,
+            hash: engine.stateHash()
+        };
+        this._changes = [];
+
+        return this.recording;
+    }
+
+    @autobind
+    _onBeforeUpdate(dt) {
+        const { _engine: engine, recording } = this;
+        const step = {
+            dt: { delta: dt.delta, lastDelta: dt.lastDelta },
+            timeScale: engine.options.timeScale,
+            subSteps: engine.options.subSteps,
+            changes: this._changes,
+            forces: []
+        };
+        if (recording.steps.length % this._options.hashInterval === 0) {
+            step.hash = engine.stateHash();
+        }
+        recording.steps.push(step);
+        this._changes = [];
+    }
+
+    // The forces are recorded for each step actually performed by the update
+    // (none if the world is frozen)
+
+    @autobind
+    _onPreIntegrate() {
+        const { _engine: engine, recording } = this;
+        recording.steps[recording.steps.length - 1].forces.push(engine.bodies
+            .filter(b => b.force.x !== 0 || b.force.y !== 0 || b.torque !== 0)
+            .map(b => [ b.id, b.force.x, b.force.y, b.torque ]));
+    }
+
+    // The changes made by the engine itself during a step (like the removal of dead particles)
+    // will happen again during the replay, so they are not recorded
+
+    @autobind
+    _onBodyAdded(body) {
+        if (!this._engine.isUpdating) {
+            this._changes.push({ type: 'addBody', body: body.toJSON() });
+        }
+    }
+
+    @autobind
+    _onBodyRemoved(body) {
+        if (!this._engine.isUpdating) {
+            this._changes.push({ type: 'removeBody', id: body.id });
+        }
+    }
+
+    @autobind
+    _onConstraintAdded(constraint) {
+        this._constraints.push(constraint);
+        if (!this._engine.isUpdating) {
+            this._changes.push({ type: 'addConstraint', constraint: constraintToJSON(constraint) });
+        }
+    }
+
+    @autobind
+    _onConstraintRemoved(constraint) {
+        const index = this._constraints.indexOf(constraint);
+        this._constraints.splice(index, 1);
+        if (!this._engine.isUpdating) {
+            this._changes.push({ type: 'removeConstraint', index });
+        }
+    }
+
+    @autobind
+    _onForceGeneratorAdded(generator) {
+        this._forceGenerators.push(generator);
+        if (!this._engine.isUpdating) {
+            this._changes.push({
+                type: 'addForceGenerator',
+                generator: forceGeneratorToJSON(generator)
+            });
+        }
+    }
+
+    @autobind
+    _onForceGeneratorRemoved(generator) {
+        const index = this._forceGenerators.indexOf(generator);
+        this._forceGenerators.splice(index, 1);
+        if (!this._engine.isUpdating) {
+            this._changes.push({ type: 'removeForceGenerator', index });
+        }
+    }
+
+}
@@ -0,0 +1,93 @@
+import extend from 'extend';
+import { canSleep } from '../bodies/Body';
+
+/**
+ *    Advances an engine in a tight loop, as fast as possible, instead of waiting
+ *    for the frames of a `Timer`. This is useful to run thousands of steps of a simulation
+ *    on a server or in tests, and does not need a browser: no DOM nor canvas are used.
+ *
+ *    All the steps have the same length, given by the option `delta`
+ *    (by default `1000 / 60` ms, the same of the default `Timer`).
+ */
+export default class Runner {
+
+    /**
+     *    Creates a new `Runner` for the given engine.
+     *    @param {Engine} engine - Engine to advance.
+     *    @param {object} options - Options for the runner.
+     */
+    constructor(engine, options) {
+        this._engine = engine;
+        this._options = extend({
+            delta: 1000 / 60,
+            maxSteps: 10000
+        }, options);
+
+        /**
+         *    Total number of steps performed by this runner.
+         *    @type {number}
+         */
+        this.steps = 0;
+    }
+
+    /**
+     *    Performs the given number of steps.
+     *    @param  {number} count - Number of steps to perform.
+     *    @return {Runner} This runner.
+     */
+    run(count) {
+        for (let i = 0; i < count; i++) {
+            this._step();
+        }
+        return this;
+    }
+
+    /**
+     *    Performs steps until the given predicate holds, or until the maximum number of steps
+     *    has been performed. The predicate is checked before each step.
+     *    @param  {function} predicate - Function called with the engine and the number of steps
+     *            performed so far by this call, returning `true` to stop.
+     *    @param  {number} [maxSteps] - Maximum number of steps to perform.
+     *            Defaults to the option `maxSteps` of the runner.
+     *    @return {boolean} `true` if the predicate holds, `false` if the steps ran out before.
+     */
+    runUntil(predicate, maxSteps = this._options.maxSteps) {
+        for (let i = 0; i < maxSteps; i++) {
+            if (predicate(this._engine, i)) {
+                return true;
+            }
+            this._step();
+        }
+        return !!predicate(this._engine, maxSteps);
+    }
+
+    /**
+     *    Performs steps until all the bodies of the engine are asleep, or until the maximum
+     *    number of steps has been performed. Static and kinematic bodies and particles
+     *    are not considered.
+     *    @param  {number} [maxSteps] - Maximum number of steps to perform.
+     *            Defaults to the option `maxSteps` of the runner.
+     *    @return {boolean} `true` if all the bodies are asleep,
+     *            `false` if the steps ran out before.
+     */
+    runUntilSleeping(maxSteps) {
+        if (!this._engine.options.enableSleeping) {
+            throw new Error('The bodies never fall asleep: sleeping is disabled in the engine.');
+        }
+        return this.runUntil(
+            engine => engine.bodies.every(b => b.isSleeping || b.isParticle || !canSleep(b)),
+            maxSteps
+        );
+    }
+
+    /**
+     *    Performs a single step.
+     *    @return {void}
+     */
+    _step() {
+        const { delta } = this._options;
+        this._engine.update({ delta, lastDelta: delta });
+        this.steps++;
+    }
+
+}
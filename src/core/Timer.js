@@ -1,24 +1,143 @@
 import EventEmitter from 'eventemitter3';
 import autobind from 'autobind-decorator';
 import extend from 'extend';
-import { global, now } from './util';
+import { globalObject, features, now } from './util';
 
 // Maybe the browser natively supports requestAnimationFrame
-let requestAnimationFrame = global.requestAnimationFrame || global.webkitRequestAnimationFrame ||
-    global.mozRequestAnimationFrame || global.msRequestAnimationFrame
-let cancelAnimationFrame = global.cancelAnimationFrame || global.webkitCancelAnimationFrame ||
-    global.mozCancelAnimationFrame || global.msCancelAnimationFrame
-
-// Approximate the RAF with a setTimeout if we are out of luck
-if (!requestAnimationFrame) {
-    requestAnimationFrame = (cb) => setTimeout(() => cb(now()), 1000 / 60);
-    cancelAnimationFrame = clearTimeout;
-}
+const requestAnimationFrame = globalObject.requestAnimationFrame ||
+    globalObject.webkitRequestAnimationFrame || globalObject.mozRequestAnimationFrame ||
+    globalObject.msRequestAnimationFrame;
+const cancelAnimationFrame = globalObject.cancelAnimationFrame ||
+    globalObject.webkitCancelAnimationFrame || globalObject.mozCancelAnimationFrame ||
+    globalObject.msCancelAnimationFrame;
+
+/**
+ *    Creates the functions to run callbacks as soon as possible, after the pending events
+ *    but without the minimum delay of `setTimeout`: with `setImmediate` where available,
+ *    with the messages of a `MessageChannel` otherwise.
+ *    @return {object} The functions `request` and `cancel`.
+ */
+const createImmediate = () => {
+    if (typeof globalObject.setImmediate === 'function') {
+        return {
+            request: (callback) => globalObject.setImmediate(callback),
+            cancel: (handle) => globalObject.clearImmediate(handle)
+        };
+    }
+
+    // Each message carries the handle of the callback to run
+    const channel = new globalObject.MessageChannel();
+    const callbacks = new Map();
+    let nextHandle = 0;
+    channel.port1.onmessage = ({ data }) => {
+        const callback = callbacks.get(data);
+        if (callback) {
+            callbacks.delete(data);
+            callback();
+        }
+    };
+    return {
+        request: (callback) => {
+            const handle = nextHandle;
+            nextHandle = nextHandle + 1;
+            callbacks.set(handle, callback);
+            channel.port2.postMessage(handle);
+            return handle;
+        },
+        cancel: (handle) => callbacks.delete(handle)
+    };
+};
+
+// Ways to schedule the frames of the timer, with the feature of the environment they need.
+// Each one creates the functions to request and cancel a frame, given the length of a step.
+const BACKENDS = {
+
+    // Frames synchronized with the repaints of the browser
+    animationFrame: {
+        feature: 'animationFrame',
+        create: () => ({
+            request: (callback) => requestAnimationFrame(callback),
+            cancel: (handle) => cancelAnimationFrame(handle)
+        })
+    },
+
+    // Frames at the pace of the wall clock, without a browser
+    timeout: {
+        feature: 'timeout',
+        create: (delta) => ({
+            request: (callback) => globalObject.setTimeout(() => callback(now()), delta),
+            cancel: (handle) => globalObject.clearTimeout(handle)
+        })
+    },
+
+    // Frames as fast as possible, each one advancing the time of exactly one step
+    immediate: {
+        feature: 'immediate',
+        create: (delta) => {
+            const immediate = createImmediate();
+            let time = 0;
+            return {
+                request: (callback) => immediate.request(() => {
+                    time = time + delta;
+                    callback(time);
+                }),
+                cancel: immediate.cancel
+            };
+        }
+    }
+
+};
+
+/**
+ *    Returns the name of the backend to use, checking that the environment supports it.
+ *    @param  {string} backend - Name of the requested backend, or `auto` to pick
+ *    the best one available.
+ *    @return {string} Name of the backend.
+ */
+const resolveBackend = (backend) => {
+    if (backend === 'auto') {
+        const available = [ 'animationFrame', 'timeout' ].find(b => features[BACKENDS[b].feature]);
+        if (!available) {
+            throw new Error('No way to schedule the frames of the timer in this environment.');
+        }
+        return available;
+    }
+    if (!BACKENDS.hasOwnProperty(backend)) {
+        throw new Error(`Unknown timer backend: ${backend}.`);
+    }
+    if (!features[BACKENDS[backend].feature]) {
+        throw new Error(`The timer backend ${backend} is not supported in this environment.`);
+    }
+    return backend;
+};
 
 /**
  *    Main game loop.
  *    This class provides the means to control the timing of a physical simulation,
- *    so that it can be slowed down or made go faster. Fires the event `tick` when ready.
+ *    so that it can be slowed down or made go faster.
+ *
+ *    Fires the event `tick` for each step of the simulation to perform,
+ *    and the event `frame` once for each animation frame, after all the ticks.
+ *
+ *    In fixed mode, the real time elapsed between the frames is accumulated
+ *    and consumed in steps of fixed length, so that the speed of the simulation
+ *    does not depend on the refresh rate of the screen: a frame can run zero,
+ *    one or more steps. The time left in the accumulator is exposed as `alpha`,
+ *    the fraction of a step elapsed since the last one, which can be used to interpolate
+ *    the state of the bodies when drawing them.
+ *
+ *    For debugging, the timer can be paused and resumed, and single steps can be
+ *    performed manually. The events `pause`, `resume` and `step` are fired accordingly.
+ *
+ *    The frames are scheduled by a backend, chosen with the option `backend`:
+ *    - `animationFrame`: Frames are synchronized with the repaints of the browser.
+ *    - `timeout`: Frames are scheduled with `setTimeout`, at the pace of the wall clock.
+ *    - `immediate`: Frames are scheduled as soon as possible (with `setImmediate`
+ *      or a `MessageChannel`, without the delay of `setTimeout`), and each one performs exactly
+ *      one step, whatever the time elapsed. Useful to run the simulation in the background
+ *      on a server; to run it synchronously, use a `Runner`.
+ *    - `auto` (default): `animationFrame` if supported by the environment, `timeout` otherwise.
+ *    An error is thrown if the backend is not supported by the environment.
  */
 export default class Timer extends EventEmitter {
 
@@ -31,7 +150,9 @@ export default class Timer extends EventEmitter {
         this._options = extend({
             fps: 60,
             deltaSamplesCount: 60,
-            isFixed: true
+            isFixed: true,
+            maxStepsPerFrame: 5,
+            backend: 'auto'
         }, options);
 
         // Compute some common options
@@ -40,9 +161,31 @@ export default class Timer extends EventEmitter {
         this._options.deltaMax = this._options.deltaMax || this._options.deltaMin * 2;
         this._options.fps = 1000 / this._options.delta;
 
+        /**
+         *    Name of the backend scheduling the frames.
+         *    @type {string}
+         */
+        this.backend = resolveBackend(this._options.backend);
+        this._scheduler = BACKENDS[this.backend].create(this._options.delta);
+
         // Internal state of the timer
         this._previousTime = 0;
         this._previousDeltas = [];
+        this._accumulator = 0;
+        this._lastDelta = null;
+
+        /**
+         *    Fraction of a step elapsed since the last step performed.
+         *    Always `1` when not in fixed mode.
+         *    @type {number}
+         */
+        this.alpha = 1;
+
+        /**
+         *    Whether the timer is paused: while paused, the frames are still fired, but no steps.
+         *    @type {boolean}
+         */
+        this.isPaused = false;
 
     }
 
@@ -50,59 +193,161 @@ export default class Timer extends EventEmitter {
      *    Starts the timer.
      */
     start() {
-        this._frameHandle = requestAnimationFrame(this._onTick);
+        this._previousTime = null;
+        this._accumulator = 0;
+        this._frameHandle = this._scheduler.request(this._onTick);
     }
 
     /**
      *    Stops the timer.
      */
     stop() {
-        cancelAnimationFrame(this._frameHandle);
+        this._scheduler.cancel(this._frameHandle);
         this._frameHandle = null;
     }
 
+    /**
+     *    Pauses the simulation. The frames keep being fired, with an `alpha` of `1`,
+     *    so that the current state can still be drawn.
+     *    Fires the event `pause`.
+     *    @return {void}
+     */
+    pause() {
+        if (!this.isPaused) {
+            this.isPaused = true;
+            this.alpha = 1;
+            this.emit('pause');
+        }
+    }
+
+    /**
+     *    Resumes the simulation after a pause.
+     *    The time elapsed during the pause is not simulated.
+     *    Fires the event `resume`.
+     *    @return {void}
+     */
+    resume() {
+        if (this.isPaused) {
+            this.isPaused = false;
+            this._accumulator = 0;
+            this.emit('resume');
+        }
+    }
+
+    /**
+     *    Immediately performs the given number of steps, firing a `tick` event for each one.
+     *    This works whether the timer is paused or not, and is mostly useful to advance
+     *    the simulation one step at a time while paused.
+     *    Fires the event `step` with the number of steps performed.
+     *    @param  {number} [count] - Number of steps to perform. Defaults to `1`.
+     *    @return {void}
+     */
+    step(count = 1) {
+        const { delta } = this._options;
+        for (let i = 0; i < count; i++) {
+            this._tick(delta, this._lastDelta || delta);
+        }
+        this.emit('step', { count });
+    }
+
     @autobind
     _onTick(time) {
 
         const { _options: options } = this;
 
-        let delta, lastDelta;
-        if (options.isFixed) {
-            // Fixed step
-            delta = lastDelta = options.delta;
+        if (this.isPaused) {
+            this._previousTime = time;
+        } else if (options.isFixed) {
+            this._fixedSteps(time);
         } else {
+            this._variableStep(time);
+        }
+        this.emit('frame', { alpha: this.alpha });
 
-            // WARNING: This is horribly experimental, and causes lots of problems.
+        // Before exiting, don't forget that we want to be called again
+        if (this._frameHandle !== null) {
+            this._frameHandle = this._scheduler.request(this._onTick);
+        }
 
-            // Compute current delta
-            delta = (time - this._previousTime) || options.delta;
+    }
 
-            // Stores the current delta
-            this._previousTime = time;
-            this._previousDeltas.push(delta);
-            this._previousDeltas = this._previousDeltas.slice(-options.deltaSamplesCount);
+    /**
+     *    Performs all the fixed steps needed to consume the time elapsed since the last frame.
+     *    @param  {number} time - Current time.
+     *    @return {void}
+     */
+    _fixedSteps(time) {
 
-            // Use the average of the last deltas as the current delta.
-            // This is a simple method to smooth the delta and to avoid
-            // random lags impacting the timing too much.
-            delta = this._previousDeltas.reduce((a, b) => a + b, 0) / options.deltaSamplesCount;
+        const { _options: options } = this;
+        const { delta, maxStepsPerFrame } = options;
 
-            // Clamp delta
-            delta = Math.max(options.deltaMin, Math.min(delta, options.deltaMax));
+        // The first frame performs a single step
+        const elapsed = this._previousTime === null ? delta : time - this._previousTime;
+        this._previousTime = time;
 
-            // Verlet time correction
-            lastDelta = this._previousDeltas.length <= 1 ? delta : this._previousDeltas[this._previousDeltas.length - 2];
+        // If the simulation is slower than real time, the accumulator would grow
+        // forever, requiring more and more steps for each frame (the "spiral of death").
+        // The time that cannot be simulated in a frame is just dropped.
+        this._accumulator = Math.min(this._accumulator + elapsed, delta * maxStepsPerFrame);
 
+        // A tiny tolerance avoids skipping a step because of rounding errors
+        const steps = Math.floor(this._accumulator / delta + 1e-6);
+        this._accumulator = Math.max(0, this._accumulator - steps * delta);
+        for (let i = 0; i < steps; i++) {
+            this._tick(delta, delta);
         }
 
+        this.alpha = this._accumulator / delta;
+
+    }
+
+    /**
+     *    Performs a single step, whose length depends on the time elapsed between the frames.
+     *    @param  {number} time - Current time.
+     *    @return {void}
+     */
+    _variableStep(time) {
+
+        const { _options: options } = this;
+
+        // WARNING: This is horribly experimental, and causes lots of problems.
+
+        // Compute current delta
+        let delta = this._previousTime === null ? options.delta : time - this._previousTime;
+        delta = delta || options.delta;
+
+        // Stores the current delta
+        this._previousTime = time;
+        this._previousDeltas.push(delta);
+        this._previousDeltas = this._previousDeltas.slice(-options.deltaSamplesCount);
+
+        // Use the average of the last deltas as the current delta.
+        // This is a simple method to smooth the delta and to avoid
+        // random lags impacting the timing too much.
+        delta = this._previousDeltas.reduce((a, b) => a + b, 0) / options.deltaSamplesCount;
+
+        // Clamp delta
+        delta = Math.max(options.deltaMin, Math.min(delta, options.deltaMax));
+
+        // Verlet time correction
+        const deltas = this._previousDeltas;
+        const lastDelta = deltas.length <= 1 ? delta : deltas[deltas.length - 2];
+
         // Fire the event
-        this.emit('tick', { delta, lastDelta });
+        this._tick(delta, lastDelta);
+        this.alpha = 1;
 
-        // Before exiting, don't forget that we want to be called again
-        if (this._frameHandle !== null) {
-            this._frameHandle = requestAnimationFrame(this._onTick);
-        }
+    }
 
+    /**
+     *    Fires the event `tick` for a single step.
+     *    @param  {number} delta - Duration of the step.
+     *    @param  {number} lastDelta - Duration of the previous step.
+     *    @return {void}
+     */
+    _tick(delta, lastDelta) {
+        this._lastDelta = delta;
+        this.emit('tick', { delta, lastDelta });
     }
 
 }
@@ -1,16 +1,63 @@
+/**
+ *    Finds the global object of the current environment, without using `eval`
+ *    (which could be forbidden by a content security policy).
+ *    @return {object} The global object.
+ */
+const findGlobalObject = () => {
+    if (typeof self !== 'undefined') {
+        return self;
+    }
+    if (typeof window !== 'undefined') {
+        return window;
+    }
+    if (typeof global !== 'undefined') {
+        return global;
+    }
+    throw new Error('Unable to find the global object of the environment.');
+};
+
 /**
  *    Reference to the global object.
  *    @type {object}
  */
-export const global = (0, eval)('this');
+export const globalObject = findGlobalObject();
+
+// Former name of `globalObject`, kept for compatibility
+export { globalObject as global };
+
+/**
+ *    Features of the environment which are used by `phy6-js`, but not available everywhere.
+ *    Each property is `true` if the feature is available.
+ *    - `animationFrame`: The browser can schedule callbacks before the repaints
+ *      (`requestAnimationFrame`, possibly prefixed).
+ *    - `timeout`: Callbacks can be scheduled with `setTimeout`.
+ *    - `immediate`: Callbacks can be scheduled without delay, with `setImmediate`
+ *      or a `MessageChannel`.
+ *    - `performance`: High resolution timestamps are available (`performance.now`).
+ *    - `canvas`: A DOM with canvas elements is available.
+ *    @type {object}
+ */
+export const features = {
+    animationFrame: [
+        'requestAnimationFrame',
+        'webkitRequestAnimationFrame',
+        'mozRequestAnimationFrame',
+        'msRequestAnimationFrame'
+    ].some(name => typeof globalObject[name] === 'function'),
+    timeout: typeof globalObject.setTimeout === 'function',
+    immediate: typeof globalObject.setImmediate === 'function' ||
+        typeof globalObject.MessageChannel === 'function',
+    performance: !!globalObject.performance && typeof globalObject.performance.now === 'function',
+    canvas: !!globalObject.document && typeof globalObject.document.createElement === 'function'
+};
 
 /**
  *    Returns the current timestamp with the highest precision available.
  *    @return {number} Current timestamp.
  */
 export const now = () => {
-    if (global.performance) {
-        return global.performance.now();
+    if (features.performance) {
+        return globalObject.performance.now();
     } else {
         return Date.now();
     }
@@ -0,0 +1,64 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import ForceGenerator from './ForceGenerator';
+
+/**
+ *    Attracts the bodies towards a point, with an acceleration inversely proportional
+ *    to the square of their distance from it, like the gravity of a planet.
+ *    A negative strength repels the bodies instead.
+ *
+ *    - `position`: Center of attraction.
+ *    - `body`: Body whose position is used as the center of attraction, which is
+ *      never affected by the attractor itself. If `null`, `position` is used.
+ *    - `strength`: Acceleration of the bodies at a distance of `1` (for a planet,
+ *      the gravitational constant times its mass).
+ *    - `minDistance`: Distance below which the acceleration stops growing,
+ *      to avoid the singularity in the center.
+ *    - `radius`: Distance beyond which the bodies are not attracted anymore.
+ */
+export default class Attractor extends ForceGenerator {
+
+    /**
+     *    Constructs a new `Attractor`.
+     *    @param {object} options - Options for the attractor.
+     */
+    constructor(options) {
+        super(extend({
+            position: new Vector(0, 0),
+            body: null,
+            strength: 1,
+            minDistance: 10,
+            radius: Infinity
+        }, options));
+    }
+
+    /**
+     *    Center of attraction, in world coordinates.
+     *    @type {Vector}
+     */
+    get center() {
+        return this.body ? this.body.position : this.position;
+    }
+
+    affects(body) {
+        return body !== this.body && super.affects(body);
+    }
+
+    forceOn(body) {
+        const delta = this.center.sub(body.position);
+        const distance = delta.length();
+        if (distance === 0 || distance >= this.radius) {
+            return new Vector(0, 0);
+        }
+        const clamped = Math.max(distance, this.minDistance);
+        const acceleration = this.strength / (clamped * clamped);
+        return delta.scalar(acceleration * body.mass / distance);
+    }
+
+    toJSON() {
+        return extend(super.toJSON(), {
+            body: this.body ? this.body.id : null
+        });
+    }
+
+}
@@ -0,0 +1,45 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import ForceGenerator, { attenuation } from './ForceGenerator';
+
+/**
+ *    Pushes the bodies away from a point, decreasing with the distance.
+ *    Unlike the other generators, by default an explosion acts for a single update
+ *    and is then removed from the engine, so it can be added whenever something explodes.
+ *    The force does not depend on the mass, so heavy bodies are thrown less far.
+ *
+ *    - `position`: Center of the explosion.
+ *    - `radius`: Distance reached by the explosion.
+ *    - `strength`: Force on the bodies in the center.
+ *    - `falloff`: How the force decreases up to the radius: `none`, `linear` or `quadratic`.
+ */
+export default class Explosion extends ForceGenerator {
+
+    /**
+     *    Constructs a new `Explosion`.
+     *    @param {object} options - Options for the explosion.
+     */
+    constructor(options) {
+        super(extend({
+            position: new Vector(0, 0),
+            radius: 100,
+            strength: 0.05,
+            falloff: 'linear',
+            duration: 0
+        }, options));
+
+        // An unknown falloff must fail now, not when the explosion happens
+        attenuation(this.falloff, 0, 1);
+    }
+
+    forceOn(body) {
+        const delta = body.position.sub(this.position);
+        const distance = delta.length();
+        const fraction = attenuation(this.falloff, distance, this.radius);
+        if (distance === 0 || fraction === 0) {
+            return new Vector(0, 0);
+        }
+        return delta.scalar(this.strength * fraction / distance);
+    }
+
+}
@@ -0,0 +1,136 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import * as Bounds from '../geometry/Bounds';
+
+// Functions attenuating a force with the distance from its center, relative to its radius
+const FALLOFFS = {
+    none: () => 1,
+    linear: (ratio) => 1 - ratio,
+    quadratic: (ratio) => (1 - ratio) * (1 - ratio)
+};
+
+/**
+ *    Returns the fraction of a force left at the given distance from its center,
+ *    which is `0` outside of the radius.
+ *    @param  {string} falloff - How the force decreases: `none`, `linear` or `quadratic`.
+ *    @param  {number} distance - Distance from the center of the force.
+ *    @param  {number} radius - Radius of the force.
+ *    @return {number} The fraction of the force, between `0` and `1`.
+ */
+export const attenuation = (falloff, distance, radius) => {
+    if (!FALLOFFS.hasOwnProperty(falloff)) {
+        throw new Error(`Unknown falloff: ${falloff}.`);
+    }
+    return distance < radius ? FALLOFFS[falloff](distance / radius) : 0;
+};
+
+/**
+ *    Base class for all the force generators.
+ *
+ *    A force generator is added to the engine like bodies and constraints, and applies
+ *    a force to the bodies at every step, together with the gravity. Static and kinematic
+ *    bodies are never affected, and sleeping bodies are woken up when a force acts on them.
+ *    The affected bodies can be limited with two options:
+ *    - `bodies`: Array of the only bodies to affect. If `null`, all the bodies are affected.
+ *    - `region`: Bounds in which the position of a body must be to be affected.
+ *      If `null`, the generator acts everywhere.
+ *
+ *    A generator can also last for a limited time, given by the option `duration`:
+ *    the engine removes it at the end of the update in which it acted for that long,
+ *    so a duration of `0` makes it act for a single update, whatever the number
+ *    of sub-steps. The time the generator has been acting for is kept in `time`.
+ *
+ *    Subclasses must implement `forceOn`, to compute the force on a single body.
+ */
+export default class ForceGenerator {
+
+    /**
+     *    Constructs a new `ForceGenerator`.
+     *    @param {object} options - Object containing the properties to set on this object
+     *    immediately after construction.
+     */
+    constructor(options) {
+        extend(this, {
+            bodies: null,
+            region: null,
+            duration: Infinity,
+            time: 0
+        }, options);
+    }
+
+    /**
+     *    `true` if the generator acted for all its duration, and must be removed.
+     *    @type {boolean}
+     */
+    get isExpired() {
+        return this.time >= this.duration;
+    }
+
+    /**
+     *    Returns a boolean value indicating whether this generator can act on a body or not.
+     *    @param  {Body} body - Body to test.
+     *    @return {boolean} `true` if the body can be affected, `false` otherwise.
+     */
+    affects(body) {
+        return !body.isStatic && !body.isKinematic &&
+            (!this.bodies || this.bodies.includes(body)) &&
+            (!this.region || Bounds.contains(this.region, body.position));
+    }
+
+    /**
+     *    Applies the forces of this generator to the bodies it affects,
+     *    and advances its time.
+     *    @param  {Engine} engine - Engine containing the bodies.
+     *    @param  {object} dt - Amount of time of the step, with the properties
+     *    `delta` and `lastDelta`.
+     *    @return {void}
+     */
+    apply(engine, dt) {
+        for (const body of engine.bodies) {
+            if (!this.affects(body)) {
+                continue;
+            }
+            const force = this.forceOn(body, engine);
+            if (force.x !== 0 || force.y !== 0) {
+                body.wake();
+                body.force = body.force.add(force);
+            }
+        }
+        this.time = this.time + dt.delta;
+    }
+
+    /**
+     *    Computes the force of this generator on a body.
+     *    @param  {Body} body - Body affected by the generator.
+     *    @param  {Engine} engine - Engine containing the body.
+     *    @return {Vector} The force.
+     */
+    forceOn() {
+        return new Vector(0, 0);
+    }
+
+    /**
+     *    Returns a plain object describing this generator, which can be converted to JSON.
+     *    The bodies are replaced by their ids. Numbers that cannot be represented in JSON
+     *    (like an infinite duration) are left out, so they will get their default values.
+     *    @return {object} The description of this generator.
+     */
+    toJSON() {
+        const json = extend({}, this, {
+            bodies: this.bodies ? this.bodies.map(b => b.id) : null,
+            region: this.region ? {
+                min: this.region.min.toJSON(),
+                max: this.region.max.toJSON()
+            } : null
+        });
+        for (const k of Object.keys(json)) {
+            if (json[k] instanceof Vector) {
+                json[k] = json[k].toJSON();
+            } else if (typeof json[k] === 'number' && !isFinite(json[k])) {
+                delete json[k];
+            }
+        }
+        return json;
+    }
+
+}
@@ -0,0 +1,34 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import ForceGenerator from './ForceGenerator';
+
+/**
+ *    Changes the gravity of the bodies in a region, like a zero gravity room
+ *    or a level with the gravity upside down. The region is given by the option `region`
+ *    of all the generators.
+ *
+ *    - `gravity`: Gravity in the zone.
+ *    - `replaceGravity`: If `true`, the gravity of the engine is replaced by the one
+ *      of the zone, otherwise they are added together.
+ */
+export default class GravityZone extends ForceGenerator {
+
+    /**
+     *    Constructs a new `GravityZone`.
+     *    @param {object} options - Options for the zone.
+     */
+    constructor(options) {
+        super(extend({
+            gravity: new Vector(0, 0),
+            replaceGravity: true
+        }, options));
+    }
+
+    forceOn(body, engine) {
+        const gravity = this.replaceGravity ?
+            this.gravity.sub(engine.options.gravity) :
+            this.gravity;
+        return gravity.scalar(body.mass);
+    }
+
+}
@@ -0,0 +1,44 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import ForceGenerator, { attenuation } from './ForceGenerator';
+
+/**
+ *    Swirls the bodies around a point, like a whirlpool or a tornado.
+ *    The accelerations are the strongest in the center, and fade linearly to `0`
+ *    at the radius.
+ *
+ *    - `position`: Center of the vortex.
+ *    - `radius`: Distance beyond which the bodies are not affected.
+ *    - `strength`: Acceleration around the center, in the direction of positive angles.
+ *      A negative strength makes the bodies turn the other way.
+ *    - `pull`: Acceleration towards the center, which keeps the bodies in the vortex.
+ */
+export default class Vortex extends ForceGenerator {
+
+    /**
+     *    Constructs a new `Vortex`.
+     *    @param {object} options - Options for the vortex.
+     */
+    constructor(options) {
+        super(extend({
+            position: new Vector(0, 0),
+            radius: 200,
+            strength: 0.002,
+            pull: 0.0005
+        }, options));
+    }
+
+    forceOn(body) {
+        const delta = this.position.sub(body.position);
+        const distance = delta.length();
+        const fraction = attenuation('linear', distance, this.radius);
+        if (distance === 0 || fraction === 0) {
+            return new Vector(0, 0);
+        }
+        const inward = delta.scalar(1 / distance);
+        return inward.perp().scalar(-this.strength)
+            .add(inward.scalar(this.pull))
+            .scalar(fraction * body.mass);
+    }
+
+}
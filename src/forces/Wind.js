@@ -0,0 +1,60 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import ForceGenerator from './ForceGenerator';
+
+/**
+ *    Smooth pseudo-random value between `-1` and `1`, changing with the position and the time.
+ *    It's a sum of waves rather than actual noise, but it's cheap and deterministic,
+ *    so that recordings and snapshots of the simulation can be replayed exactly.
+ *    @param  {number} x - X coordinate, already scaled.
+ *    @param  {number} y - Y coordinate, already scaled.
+ *    @param  {number} t - Time, already scaled.
+ *    @param  {number} seed - Offset of the waves, to get independent values.
+ *    @return {number} The noise value.
+ */
+const noise = (x, y, t, seed) => (
+    Math.sin(x * 1.1 + t * 1.3 + seed) +
+    Math.sin(y * 1.7 - t * 0.7 + seed * 2.3) +
+    Math.sin((x - y) * 0.6 + t * 2.1 + seed * 3.7)
+) / 3;
+
+/**
+ *    Pushes the bodies in a direction, like the wind.
+ *    The force is proportional to the area of the bodies, so that big bodies
+ *    catch more wind, but light bodies are the ones blown away.
+ *
+ *    - `force`: Force of the wind on a unit of area.
+ *    - `turbulence`: Fraction of the force which changes randomly, as gusts, both in
+ *      strength and direction. `0` is a steady wind, `1` a very gusty one.
+ *    - `turbulenceScale`: How fast the gusts change in space: the gusts are about
+ *      `1 / turbulenceScale` wide.
+ *    - `turbulenceFrequency`: How fast the gusts change in time.
+ */
+export default class Wind extends ForceGenerator {
+
+    /**
+     *    Constructs a new `Wind`.
+     *    @param {object} options - Options for the wind.
+     */
+    constructor(options) {
+        super(extend({
+            force: new Vector(0.000001, 0),
+            turbulence: 0,
+            turbulenceScale: 0.01,
+            turbulenceFrequency: 0.002
+        }, options));
+    }
+
+    forceOn(body) {
+        let force = this.force;
+        if (this.turbulence > 0) {
+            const x = body.position.x * this.turbulenceScale;
+            const y = body.position.y * this.turbulenceScale;
+            const t = this.time * this.turbulenceFrequency;
+            const gust = 1 + this.turbulence * noise(x, y, t, 0);
+            force = force.rotate(this.turbulence * noise(x, y, t, 1)).scalar(gust);
+        }
+        return force.scalar(body.area);
+    }
+
+}
@@ -0,0 +1,71 @@
+import extend from 'extend';
+import Vector from '../geometry/Vector';
+import Attractor from './Attractor';
+import Explosion from './Explosion';
+import GravityZone from './GravityZone';
+import Vortex from './Vortex';
+import Wind from './Wind';
+
+// Force generators that can be saved and loaded, by name
+const FORCE_GENERATORS = {
+    attractor: Attractor,
+    explosion: Explosion,
+    gravityZone: GravityZone,
+    vortex: Vortex,
+    wind: Wind
+};
+
+/**
+ *    Converts a force generator to JSON, adding its type.
+ *    Only the builtin generators are supported.
+ *    @param  {ForceGenerator} generator - Generator to convert.
+ *    @return {object} The description of the generator.
+ */
+export const forceGeneratorToJSON = (generator) => {
+    const type = Object.keys(FORCE_GENERATORS)
+        .find(k => FORCE_GENERATORS[k] === generator.constructor);
+    if (!type) {
+        throw new Error('Only the builtin force generators can be converted to JSON.');
+    }
+    return extend(generator.toJSON(), { type });
+};
+
+/**
+ *    Creates a force generator from its description, as returned by `forceGeneratorToJSON`.
+ *    @param  {object} json - Description of the generator.
+ *    @param  {Map} bodies - Bodies the generator refers to, by id.
+ *    @return {ForceGenerator} The new generator.
+ */
+export const forceGeneratorFromJSON = (json, bodies) => {
+    if (!FORCE_GENERATORS.hasOwnProperty(json.type)) {
+        throw new Error(`Unknown force generator type: ${json.type}.`);
+    }
+    const bodyOf = (id) => {
+        if (!bodies.has(id)) {
+            throw new Error(`The force generator refers to a missing body: ${id}.`);
+        }
+        return bodies.get(id);
+    };
+    const Type = FORCE_GENERATORS[json.type];
+    const options = extend({}, json, {
+        bodies: json.bodies ? json.bodies.map(bodyOf) : null,
+        region: json.region ? {
+            min: Vector.fromJSON(json.region.min),
+            max: Vector.fromJSON(json.region.max)
+        } : null
+    });
+    if (typeof json.body === 'number') {
+        options.body = bodyOf(json.body);
+    }
+    delete options.type;
+
+    // The properties which are vectors by default are vectors in the description too
+    const defaults = new Type();
+    for (const k of Object.keys(options)) {
+        if (defaults[k] instanceof Vector) {
+            options[k] = Vector.fromJSON(options[k]);
+        }
+    }
+
+    return new Type(options);
+};
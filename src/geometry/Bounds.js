@@ -26,6 +26,32 @@ export const fromVertices = (vertices) => {
 
 };
 
+/**
+ *    Returns the bounds of the given circle.
+ *    @param  {Vector} center - Center of the circle.
+ *    @param  {number} radius - Radius of the circle.
+ *    @return {Bounds} The bounds.
+ */
+export const fromCircle = (center, radius) => {
+    return {
+        min: center.sub(radius, radius),
+        max: center.add(radius, radius)
+    };
+};
+
+/**
+ *    Returns the smallest bounds containing all the given bounds.
+ *    @param  {Bounds[]} bounds - Array of bounds.
+ *    @return {Bounds} The bounds.
+ */
+export const union = (bounds) => {
+    const minX = Math.min(...bounds.map(b => b.min.x));
+    const minY = Math.min(...bounds.map(b => b.min.y));
+    const maxX = Math.max(...bounds.map(b => b.max.x));
+    const maxY = Math.max(...bounds.map(b => b.max.y));
+    return { min: new Vector(minX, minY), max: new Vector(maxX, maxY) };
+};
+
 /**
  *    Translates the given bounds of a given vector.
  *    @param  {Bounds} bounds - Bounds to translate.
@@ -47,7 +73,18 @@ export const translate = (bounds, delta) => {
  */
 export const overlap = (a, b) => {
     return !(
-        a.max.x < b.min.x || a.min.X > b.max.X ||
+        a.max.x < b.min.x || a.min.x > b.max.x ||
         a.max.y < b.min.y || a.min.y > b.max.y
     );
 };
+
+/**
+ *    Returns a boolean value indicating whether the given bounds contain a point or not.
+ *    @param  {Bounds} bounds - Bounds to test.
+ *    @param  {Vector} point - Point to test.
+ *    @return {boolean} `true` if the point is inside the bounds, `false` otherwise.
+ */
+export const contains = (bounds, point) => {
+    return point.x >= bounds.min.x && point.x <= bounds.max.x &&
+        point.y >= bounds.min.y && point.y <= bounds.max.y;
+};
@@ -0,0 +1,76 @@
+import { INERTIA_SCALE } from './Vertices';
+
+/*
+ * This module is a collection of useful algorithms to work with circles.
+ * Circles are not approximated with polygons: they are defined just by their center and radius.
+ */
+
+/**
+ *    Computes the area of a circle.
+ *    @param  {number} radius - Radius of the circle.
+ *    @return {number} The area.
+ */
+export const area = (radius) => {
+    return Math.PI * radius * radius;
+};
+
+/**
+ *    Computes the inertia of a solid circle with the given radius and mass.
+ *    The same scale used for polygons is applied, so that circles and polygons
+ *    behave consistently when rotating.
+ *    @param  {number} radius - Radius of the circle.
+ *    @param  {number} mass - Mass of the circle.
+ *    @return {number} The inertia.
+ */
+export const inertia = (radius, mass) => {
+    return INERTIA_SCALE * mass * radius * radius / 2;
+};
+
+/**
+ *    Checks whether the given circle contains the given point or not.
+ *    @param  {Vector} center - Center of the circle.
+ *    @param  {number} radius - Radius of the circle.
+ *    @param  {Vector} point - Point to test for containment.
+ *    @return {boolean} `true` if the circle contains the point, `false` otherwise.
+ */
+export const contains = (center, radius, point) => {
+    return point.sub(center).lengthSquared() <= radius * radius;
+};
+
+/**
+ *    Intersects a segment with the given circle.
+ *    Segments starting inside the circle do not hit it.
+ *    @param  {Vector} center - Center of the circle.
+ *    @param  {number} radius - Radius of the circle.
+ *    @param  {Vector} from - Starting point of the segment.
+ *    @param  {Vector} to - Ending point of the segment.
+ *    @return {object|null} `null` if the segment does not hit the circle, otherwise
+ *            an object with the `fraction` of the segment at which the hit happens
+ *            and the `normal` to the circle in the hit point.
+ */
+export const raycast = (center, radius, from, to) => {
+
+    if (contains(center, radius, from)) {
+        return null;
+    }
+
+    // Solves the quadratic equation |from + direction * t - center| = radius
+    const direction = to.sub(from);
+    const offset = from.sub(center);
+    const a = direction.lengthSquared();
+    const b = 2 * offset.dot(direction);
+    const c = offset.lengthSquared() - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+    if (a === 0 || discriminant < 0) {
+        return null;
+    }
+
+    const fraction = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (fraction < 0 || fraction > 1) {
+        return null;
+    }
+
+    const normal = from.add(direction.scalar(fraction)).sub(center).normalize();
+    return { fraction, normal };
+
+};
@@ -1,21 +1,30 @@
 import Vector from './Vector';
 import * as Vertices from './Vertices';
 import * as Bounds from './Bounds';
-import { VERTICES, POSITION } from '../bodies/Body';
+import * as Circle from './Circle';
 import { clamp } from '../core/util';
+import { combine } from '../materials/Material';
 
-const RESTING_THRESH = 6;
+const MAX_TOI_SAMPLES = 100;
+const TOI_ITERATIONS = 10;
 
 export const TOTAL_CONTACTS = Symbol('totalContacts');
 const POSITION_IMPULSE = Symbol('positionImpulse');
 
-// Projects a set of vertices on the given axis and returns the interval
+// Projects a body on the given axis and returns the interval
 // from the minimum to the maximum projections.
-const projectToAxis = (vertices, axis) => {
+const projectToAxis = (body, axis) => {
+
+    // The projection of a circle is just its center plus or minus the radius
+    if (body.isCircle) {
+        const center = body.position.dot(axis);
+        return { min: center - body.radius, max: center + body.radius };
+    }
+
     let min = Infinity;
     let max = -Infinity;
 
-    for (const v of vertices) {
+    for (const v of body.vertices) {
         const projection = v.dot(axis);
         if (projection < min) {
             min = projection;
@@ -28,16 +37,41 @@ const projectToAxis = (vertices, axis) => {
     return { min, max };
 };
 
-// Projects both set of vertices to the given set of axes,
+// Returns the axes of `body` that must be tested to check the collision with `other`.
+// A circle has infinite axes, but the only one that matters is the one passing
+// through its center and the nearest point of the other body.
+const collisionAxes = (body, other) => {
+
+    if (!body.isCircle) {
+        return body.axes;
+    }
+
+    let nearest = other.position;
+    if (!other.isCircle) {
+        let minDistance = Infinity;
+        for (const v of other.vertices) {
+            const distance = v.sub(body.position).lengthSquared();
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = v;
+            }
+        }
+    }
+
+    const axis = nearest.sub(body.position);
+    return axis.x === 0 && axis.y === 0 ? [new Vector(1, 0)] : [axis.normalize()];
+};
+
+// Projects both bodies to the given set of axes,
 // and returns `null` if there's no overlap, otherwise returns an object
 // with the axes of collision and overlap.
-const overlapAxes = (vertices1, vertices2, axes) => {
+const overlapAxes = (body1, body2, axes) => {
     const result = { overlap: Infinity };
 
     for (const a of axes) {
 
-        const interval1 = projectToAxis(vertices1, a);
-        const interval2 = projectToAxis(vertices2, a);
+        const interval1 = projectToAxis(body1, a);
+        const interval2 = projectToAxis(body2, a);
 
         const overlap = Math.min(interval1.max - interval2.min, interval2.max - interval1.min);
 
@@ -94,13 +128,96 @@ const twoNearestVertices = (target, vertices, normal) => {
 
 };
 
+// Builds a contact on a vertex of a body. The id of the contact identifies the vertex,
+// so that the same contact can be recognized in the next steps.
+const vertexContact = (body, vertex) => ({
+    id: `${body.id}:${body.vertices.indexOf(vertex)}`,
+    vertex
+});
+
+/**
+ *    Finds the contact points between two colliding polygons.
+ *    Note that for each pair of bodies we consider exactly one or two vertices.
+ *    @param  {Body} body1 - First body.
+ *    @param  {Body} body2 - Second body.
+ *    @param  {Vector} normal - Normal of the collision.
+ *    @return {object[]} Array of contacts.
+ */
+const polygonContacts = (body1, body2, normal) => {
+
+    const contacts = [];
+
+    const body1Contacts = twoNearestVertices(body1.position, body2.vertices, normal);
+    if (Vertices.contains(body1.vertices, body1Contacts[0])) {
+        contacts.push(vertexContact(body2, body1Contacts[0]));
+    }
+    if (Vertices.contains(body1.vertices, body1Contacts[1])) {
+        contacts.push(vertexContact(body2, body1Contacts[1]));
+    }
+
+    if (contacts.length < 2) {
+
+        const body2Contacts = twoNearestVertices(body2.position, body1.vertices, normal.scalar(-1));
+        if (Vertices.contains(body2.vertices, body2Contacts[0])) {
+            contacts.push(vertexContact(body1, body2Contacts[0]));
+        }
+        if (contacts.length < 2 && Vertices.contains(body2.vertices, body2Contacts[1])) {
+            contacts.push(vertexContact(body1, body2Contacts[1]));
+        }
+
+    }
+
+    return contacts;
+
+};
+
+/**
+ *    Returns an unique identifier for the pair of the given bodies.
+ *    The identifier does not depend on the order of the bodies.
+ *    @param  {Body} body1 - First body.
+ *    @param  {Body} body2 - Second body.
+ *    @return {string} Identifier of the pair.
+ */
+export const pairId = (body1, body2) => {
+    return body1.id < body2.id ? `${body1.id}:${body2.id}` : `${body2.id}:${body1.id}`;
+};
+
+/**
+ *    Returns a boolean value indicating whether two bodies with the given collision filters
+ *    are allowed to collide or not.
+ *
+ *    A collision filter is an object with the following properties:
+ *    - `category`: Bit field representing the category of the body.
+ *      Should have a single bit set.
+ *    - `mask`: Bit field of the categories this body can collide with.
+ *    - `group`: Bodies in the same positive group always collide,
+ *      while bodies in the same negative group never collide,
+ *      regardless of categories and masks. `0` means no group.
+ *
+ *    @param  {object} filterA - Collision filter of the first body.
+ *    @param  {object} filterB - Collision filter of the second body.
+ *    @return {boolean} `true` if the bodies can collide, `false` otherwise.
+ */
+export const canCollide = (filterA, filterB) => {
+    if (filterA.group === filterB.group && filterA.group !== 0) {
+        return filterA.group > 0;
+    }
+    return (filterA.mask & filterB.category) !== 0 && (filterB.mask & filterA.category) !== 0;
+};
+
 /**
  *    Performs a full SAT test to check if two bodies are colliding or not.
  *    If the test is successful, other informations about the collision are retrived.
+ *    The bodies must be convex: to test compound bodies, use `collide`.
+ *    If the bodies are parts of compound bodies, the collision is reported
+ *    on the parent bodies.
  *
  *    The returned object has the following properties:
- *    - `body1`: First body of the test.
- *    - `body2`: Second body of the test.
+ *    - `id`: Identifier of the pair of parts, as returned by `pairId`.
+ *    - `body1`: First body of the test (or its parent).
+ *    - `body2`: Second body of the test (or its parent).
+ *    - `part1`: First body of the test.
+ *    - `part2`: Second body of the test.
  *    - `colliding`: `true` if the bodies are actually colliding, `false` otherwise.
  *      If this property is `false`, the test failed, and the following properties
  *      are not meaningful.
@@ -110,28 +227,44 @@ const twoNearestVertices = (target, vertices, normal) => {
  *    - `tangent`: Tangent to the normal.
  *    - `depth`: How much the two bodies are compenetrating.
  *    - `penetrationVector`: It's just `normal.scalar(depth)`.
- *    - `contacts`: An array containing the one or two vertices involved in the collision.
+ *    - `contacts`: An array containing the one or two vertices involved in the collision,
+ *      as objects with the properties `vertex` and `id`.
+ *      When one of the bodies is a circle, there's always a single contact.
  *
  *    Provides also the following properties, which are just the max of the same
  *    properties of the bodies:
  *    - `slop`
+ *    - `restingThreshold`
+ *    And the following ones, combined according to the materials of the bodies
+ *    (see `Material`):
  *    - `restitution`
  *    - `friction`
+ *    - `staticFriction`
+ *    And `rollingFriction`, the max of the rolling friction of the circles involved,
+ *    with `rollingRadius`, the radius of the biggest one.
  *
- *    @param  {Body} body1 - First body.
- *    @param  {Body} body2 - Second body.
+ *    @param  {Body} part1 - First body.
+ *    @param  {Body} part2 - Second body.
  *    @return {object} The result of the test.
  */
-export const test = (body1, body2) => {
+export const test = (part1, part2) => {
+
+    // The collision is between the parts, but the response is on the whole bodies
+    const body1 = part1.parent || part1;
+    const body2 = part2.parent || part2;
+    const result = { id: pairId(part1, part2), body1, body2, part1, part2, colliding: false };
 
-    const result = { body1, body2, colliding: false };
+    // Bodies excluded by their collision filters never collide
+    if (!canCollide(body1.collisionFilter, body2.collisionFilter)) {
+        return result;
+    }
 
     // Test collision on all the axes of both bodies
-    const overlapAB = overlapAxes(body1.vertices, body2.vertices, body1.axes);
+    const overlapAB = overlapAxes(part1, part2, collisionAxes(part1, part2));
     if (!overlapAB) {
         return result;
     }
-    const overlapBA = overlapAxes(body2.vertices, body1.vertices, body2.axes);
+    const overlapBA = overlapAxes(part2, part1, collisionAxes(part2, part1));
     if (!overlapBA) {
         return result;
     }
@@ -149,46 +282,238 @@ export const test = (body1, body2) => {
     }
 
     // Ensure normal is facing away from bodyA
-    if (result.normal.dot(body2.position.sub(body1.position)) > 0)
+    if (result.normal.dot(part2.position.sub(part1.position)) > 0) {
         result.normal = result.normal.scalar(-1);
+    }
 
     result.tangent = result.normal.perp();
     result.penetrationVector = result.normal.scalar(result.depth);
 
     // Now we need to find the contact points between the two bodies.
-    // Note that for each pair of bodies we consider exactly one or two vertices.
+    // When a circle is involved, there's a single contact point: the point
+    // of the circle which is deepest inside the other body.
+    // Each contact has an `id` identifying the feature it belongs to, which
+    // does not change as long as the bodies keep touching in the same way.
+    if (part1.isCircle) {
+        result.contacts = [{
+            id: `${part1.id}`,
+            vertex: part1.position.sub(result.normal.scalar(part1.radius))
+        }];
+    } else if (part2.isCircle) {
+        result.contacts = [{
+            id: `${part2.id}`,
+            vertex: part2.position.add(result.normal.scalar(part2.radius))
+        }];
+    } else {
+        result.contacts = polygonContacts(part1, part2, result.normal);
+    }
 
-    result.contacts = [];
+    // Other useful properties
+    result.slop = Math.max(body1.slop, body2.slop);
+    result.restingThreshold = Math.max(body1.restingThreshold, body2.restingThreshold);
+    result.restitution = combine(body1, body2, 'restitution');
+    result.friction = combine(body1, body2, 'friction');
+    result.staticFriction = combine(body1, body2, 'staticFriction');
+
+    // Rolling friction is a property of round bodies, and acts only on them
+    result.rollingFriction = Math.max(
+        part1.isCircle ? body1.rollingFriction : 0,
+        part2.isCircle ? body2.rollingFriction : 0
+    );
+    result.rollingRadius = Math.max(part1.radius, part2.radius);
 
-    const body1Contacts = twoNearestVertices(body1.position, body2.vertices, result.normal);
-    if (Vertices.contains(body1.vertices, body1Contacts[0])) {
-        result.contacts.push({ vertex: body1Contacts[0] });
+    return result;
+
+};
+
+/**
+ *    Tests the collision between two bodies, which may be compound.
+ *    Each part of the first body is tested against each part of the second one,
+ *    skipping the pairs whose bounds do not overlap.
+ *    @param  {Body} body1 - First body.
+ *    @param  {Body} body2 - Second body.
+ *    @return {object[]} Array of the collisions found, as returned by `test`.
+ */
+export const collide = (body1, body2) => {
+
+    const parts1 = body1.isCompound ? body1.parts : [body1];
+    const parts2 = body2.isCompound ? body2.parts : [body2];
+
+    const collisions = [];
+    for (const p1 of parts1) {
+        for (const p2 of parts2) {
+            if (!Bounds.overlap(p1.bounds, p2.bounds)) {
+                continue;
+            }
+            const collision = test(p1, p2);
+            if (collision.colliding) {
+                collisions.push(collision);
+            }
+        }
     }
-    if (Vertices.contains(body1.vertices, body1Contacts[1])) {
-        result.contacts.push({ vertex: body1Contacts[1] });
+
+    return collisions;
+
+};
+
+/**
+ *    Finds the first moment in which a moving body touches another one, which is assumed
+ *    to be still. The body is supposed to have moved of `motion` in the last step,
+ *    and to be in its final position: its path is sampled in steps no longer than half
+ *    of its size, and the first collision found is refined with a bisection.
+ *    Note that the rotation of the body during the step is not considered.
+ *
+ *    The body is left in its final position.
+ *
+ *    @param  {Body} body - Moving body.
+ *    @param  {Body} other - Still body.
+ *    @param  {Vector} motion - Translation of the moving body during the last step.
+ *    @return {number|null} Fraction of the motion at which the bodies start colliding,
+ *            or `null` if they do not collide during the step or if they were
+ *            already colliding at its beginning.
+ */
+export const timeOfImpact = (body, other, motion) => {
+
+    const { min, max } = body.bounds;
+    const distance = motion.length();
+    const size = Math.min(max.x - min.x, max.y - min.y);
+    if (distance === 0 || !(size > 0)) {
+        return null;
     }
 
-    if (result.contacts.length < 2) {
+    // Quick rejection: the bounds swept by the body must overlap the other one
+    const start = Bounds.translate(body.bounds, motion.scalar(-1));
+    if (!Bounds.overlap(Bounds.union([ start, body.bounds ]), other.bounds)) {
+        return null;
+    }
 
-        const body2Contacts = twoNearestVertices(body2.position, body1.vertices, result.normal.scalar(-1));
-        if (Vertices.contains(body2.vertices, body2Contacts[0])) {
-            result.contacts.push({ vertex: body2Contacts[0] });
-        }
-        if (result.contacts.length < 2 && Vertices.contains(body2.vertices, body2Contacts[1])) {
-            result.contacts.push({ vertex: body2Contacts[1]});
+    // Moves the body along its path, at the given fraction of the motion
+    let fraction = 1;
+    const moveTo = (f) => {
+        body.translate(motion.scalar(f - fraction));
+        fraction = f;
+    };
+    const colliding = () => collide(body, other).length > 0;
+
+    // Bodies which are already touching at the beginning of the step
+    // are left to the normal collision detection
+    moveTo(0);
+    if (colliding()) {
+        moveTo(1);
+        return null;
+    }
+
+    // Looks for the first sample in which the bodies are colliding
+    const samples = Math.min(Math.ceil(distance / (size / 2)), MAX_TOI_SAMPLES);
+    let hit = null;
+    for (let i = 1; i <= samples; i++) {
+        moveTo(i / samples);
+        if (colliding()) {
+            hit = i / samples;
+            break;
         }
+    }
 
+    // Refines the time of impact, keeping the bodies slightly compenetrating,
+    // so that the collision will be found by the narrow phase
+    if (hit !== null) {
+        let low = hit - 1 / samples;
+        for (let i = 0; i < TOI_ITERATIONS; i++) {
+            const middle = (low + hit) / 2;
+            moveTo(middle);
+            if (colliding()) {
+                hit = middle;
+            } else {
+                low = middle;
+            }
+        }
     }
 
-    // Other useful properties
-    result.slop = Math.max(body1.slop, body2.slop);
-    result.restitution = Math.max(body1.restitution, body2.restitution);
-    result.friction = Math.min(body1.friction, body2.friction);
+    moveTo(1);
+    return hit;
 
+};
+
+/**
+ *    Intersects a segment with a body, which may be compound.
+ *
+ *    The returned object has the following properties:
+ *    - `body`: The body which was hit.
+ *    - `part`: The part of the body which was hit (the body itself if it is not compound).
+ *    - `point`: The point of the body which was hit.
+ *    - `normal`: The normal to the surface of the body in the hit point.
+ *    - `fraction`: Fraction of the segment at which the hit happened.
+ *
+ *    @param  {Body} body - Body to test.
+ *    @param  {Vector} from - Starting point of the segment.
+ *    @param  {Vector} to - Ending point of the segment.
+ *    @return {object|null} The first hit along the segment, or `null` if the body is not hit.
+ */
+export const raycast = (body, from, to) => {
+
+    const parts = body.isCompound ? body.parts : [body];
+
+    let result = null;
+    for (const part of parts) {
+        const hit = part.isCircle ?
+            Circle.raycast(part.position, part.radius, from, to) :
+            Vertices.raycast(part.vertices, from, to);
+        if (hit && (!result || hit.fraction < result.fraction)) {
+            result = { body, part, normal: hit.normal, fraction: hit.fraction };
+        }
+    }
+
+    if (result) {
+        result.point = from.add(to.sub(from).scalar(result.fraction));
+    }
     return result;
 
 };
 
+/**
+ *    Sweeps a body along the given motion, and finds the first point in which it hits
+ *    another body. The time of impact is found with `timeOfImpact`, so the same
+ *    limitations apply: the moving body must not be touching the other one
+ *    at the beginning of the motion.
+ *
+ *    The returned object has the following properties:
+ *    - `body`: The body which was hit.
+ *    - `part`: The part of the body which was hit (the body itself if it is not compound).
+ *    - `point`: The point in which the bodies touch.
+ *    - `normal`: The normal to the surface of the body which was hit.
+ *    - `fraction`: Fraction of the motion at which the hit happened.
+ *
+ *    @param  {Body} shape - Body to sweep, in its starting position.
+ *            It is moved during the test, but it's left where it was.
+ *    @param  {Body} other - Body to test.
+ *    @param  {Vector} motion - Translation of the body.
+ *    @return {object|null} The hit, or `null` if the body is not hit.
+ */
+export const shapecast = (shape, other, motion) => {
+
+    shape.translate(motion);
+    const fraction = timeOfImpact(shape, other, motion);
+    if (fraction === null) {
+        shape.translate(motion.scalar(-1));
+        return null;
+    }
+
+    // Finds the contact at the time of impact
+    shape.translate(motion.scalar(fraction - 1));
+    const collision = collide(shape, other)[0];
+    shape.translate(motion.scalar(-fraction));
+
+    // The point of contact is the middle of the contacts found
+    const { contacts, normal, part2: part } = collision;
+    let point = new Vector(0, 0);
+    for (const c of contacts) {
+        point = point.add(c.vertex.scalar(1 / contacts.length));
+    }
+
+    return { body: other, part, point, normal, fraction };
+
+};
+
 /**
  * Prepares the bodies for collision solving.
  *
@@ -322,9 +647,7 @@ export const postSolvePosition = (bodies) => {
         if (impulse && (impulse.x !== 0 || impulse.y !== 0)) {
 
             // Update geometry
-            body[VERTICES] = body[VERTICES].map(v => v.add(impulse));
-            body.bounds = Bounds.translate(body.bounds, impulse);
-            body[POSITION] = body[POSITION].add(impulse);
+            body.translate(impulse);
             body.previousPosition = body.previousPosition.add(impulse);
 
             // Reset impulse
@@ -335,6 +658,77 @@ export const postSolvePosition = (bodies) => {
     }
 };
 
+/**
+ *    Applies an impulse on a contact point, changing the velocities of the bodies
+ *    (that is, their previous position and angle). The impulse is applied on the first body,
+ *    and its opposite on the second one.
+ *    @param  {Body} body1 - First body.
+ *    @param  {Body} body2 - Second body.
+ *    @param  {Vector} r1 - Contact point, relative to the position of the first body.
+ *    @param  {Vector} r2 - Contact point, relative to the position of the second body.
+ *    @param  {Vector} impulse - Impulse to apply.
+ *    @return {void}
+ */
+const applyImpulse = (body1, body2, r1, r2, impulse) => {
+    if (body1.shouldUpdate) {
+        body1.previousPosition = body1.previousPosition.add(impulse.scalar(body1.invMass));
+        body1.previousAngle = body1.previousAngle + r1.cross(impulse) * body1.invInertia;
+    }
+    if (body2.shouldUpdate) {
+        body2.previousPosition = body2.previousPosition.sub(impulse.scalar(body2.invMass));
+        body2.previousAngle = body2.previousAngle - r2.cross(impulse) * body2.invInertia;
+    }
+};
+
+/**
+ *    Prepares the collisions for velocity solving using the impulses accumulated in the
+ *    last step (warm starting). The contacts that persist from the last step, identified by
+ *    their `id`, start from a fraction of the impulses they had, which are applied immediately:
+ *    this way resting contacts start close to their final solution, and need much fewer
+ *    iterations to converge.
+ *
+ *    @param  {object[]} collisions - Collision objects as returned from `test`.
+ *    @param  {Map} previous - Collisions of the last step, by id.
+ *    @param  {number} factor - Fraction of the last impulses to use.
+ *    @return {void}
+ */
+export const warmStart = (collisions, previous, factor) => {
+    if (factor <= 0) {
+        return;
+    }
+    for (const collision of collisions) {
+
+        const { body1, body2, normal, tangent, contacts } = collision;
+
+        // Triggers detect collisions, but do not affect collision response
+        if (body1.isTrigger || body2.isTrigger) {
+            continue;
+        }
+
+        const last = previous.get(collision.id);
+        if (!last) {
+            continue;
+        }
+
+        for (const contact of contacts) {
+            const lastContact = last.contacts.find(c => c.id === contact.id);
+            if (!lastContact || (!lastContact.normalImpulse && !lastContact.tangentImpulse)) {
+                continue;
+            }
+
+            contact.normalImpulse = (lastContact.normalImpulse || 0) * factor;
+            contact.tangentImpulse = (lastContact.tangentImpulse || 0) * factor;
+
+            const r1 = contact.vertex.sub(body1.position);
+            const r2 = contact.vertex.sub(body2.position);
+            const frictionImpulse = tangent.scalar(contact.tangentImpulse);
+            const impulse = normal.scalar(contact.normalImpulse).add(frictionImpulse);
+            applyImpulse(body1, body2, r1, r2, impulse);
+        }
+
+    }
+};
+
 /**
  * Iteratively solves the new position of the bodies after the collision.
  *
@@ -352,7 +746,10 @@ export const solveVelocity = (collisions) => {
             depth,
             restitution,
             friction,
-            separation
+            staticFriction,
+            rollingFriction,
+            rollingRadius,
+            restingThreshold
         } = collision;
 
         // Triggers detect collisions, but do not affect collision response
@@ -396,47 +793,124 @@ export const solveVelocity = (collisions) => {
             ) * contacts.length;
             let normalImpulse = (1 + restitution) * normalVelocity / denominator;
 
-            // Friction
-            const normalForce = clamp(separation + normalVelocity, 0, 1) * 5;
-            let tangentImpulse = tangentVelocity;
-            let maxFriction = Infinity;
-            if (Math.abs(tangentVelocity) > friction * normalForce) {
-                maxFriction = Math.abs(tangentVelocity);
-                tangentImpulse = clamp(friction * Math.sign(tangentVelocity), -maxFriction, maxFriction);
-            }
-            tangentImpulse /= denominator;
-
             // Solve resting collisions separately using Erin Catto's method (GDC 2006)
-            if (normalVelocity < 0 && normalVelocity * normalVelocity > RESTING_THRESH) {
-                contact.normalImpulse = 0;
-            } else {
+            const isResting = !(
+                normalVelocity < 0 && normalVelocity * normalVelocity > restingThreshold
+            );
+            if (isResting) {
                 contact.normalImpulse = contact.normalImpulse || 0;
                 const temp = contact.normalImpulse;
                 contact.normalImpulse = Math.min(contact.normalImpulse + normalImpulse, 0);
                 normalImpulse = contact.normalImpulse - temp;
-            }
-            if (tangentVelocity * tangentVelocity > RESTING_THRESH) {
-                contact.tangentImpulse = 0;
             } else {
-                contact.tangentImpulse = contact.tangentImpulse || 0;
-                const temp = contact.tangentImpulse;
-                contact.tangentImpulse = clamp(contact.tangentImpulse + tangentImpulse, -maxFriction, maxFriction);
-                tangentImpulse = contact.tangentImpulse - temp;
+                contact.normalImpulse = 0;
+                contact.impactImpulse = (contact.impactImpulse || 0) - normalImpulse;
+            }
+
+            // Coulomb friction. The friction can oppose the sliding only up to a fraction of
+            // the impulse pushing the bodies against each other in this step, both by impacts
+            // and resting. A contact sticks until the static friction is overcome,
+            // then it slides with the kinetic (dynamic) friction.
+            const support = (contact.impactImpulse || 0) - contact.normalImpulse;
+            const maxStaticFriction = staticFriction * support;
+            const maxFriction = friction * support;
+            const r1crossT = r1.cross(tangent);
+            const r2crossT = r2.cross(tangent);
+            const tangentDenominator = (
+                body1.invMass + body2.invMass +
+                (body1.invInertia * r1crossT * r1crossT) +
+                (body2.invInertia * r2crossT * r2crossT)
+            ) * contacts.length;
+            contact.tangentImpulse = contact.tangentImpulse || 0;
+            const temp = contact.tangentImpulse;
+            let tangentImpulse = contact.tangentImpulse + tangentVelocity / tangentDenominator;
+            if (Math.abs(tangentImpulse) > maxStaticFriction) {
+                tangentImpulse = clamp(tangentImpulse, -maxFriction, maxFriction);
             }
+            contact.tangentImpulse = tangentImpulse;
+            tangentImpulse = contact.tangentImpulse - temp;
 
             // Apply impulse. Remember that the impulse is the change in momentum,
             // that's why we divide by the mass/inertia.
-            const totalImpulse = normal.scalar(normalImpulse).add(tangent.scalar(tangentImpulse));
+            const frictionImpulse = tangent.scalar(tangentImpulse);
+            const totalImpulse = normal.scalar(normalImpulse).add(frictionImpulse);
+            applyImpulse(body1, body2, r1, r2, totalImpulse);
+
+        }
+
+        // Rolling friction opposes the relative rotation of a round body on another one,
+        // with a torque proportional to the accumulated support and to the radius
+        if (rollingFriction > 0) {
+            const support = contacts.reduce((sum, c) => sum - c.normalImpulse, 0);
+            const maxImpulse = rollingFriction * support * rollingRadius;
+            const invInertia1 = body1.shouldUpdate ? body1.invInertia : 0;
+            const invInertia2 = body2.shouldUpdate ? body2.invInertia : 0;
+            if (maxImpulse > 0 && invInertia1 + invInertia2 > 0) {
+                const angularVelocity =
+                    (body1.angle - body1.previousAngle) - (body2.angle - body2.previousAngle);
+                const temp = collision.rollingImpulse || 0;
+                collision.rollingImpulse = clamp(
+                    temp + angularVelocity / (invInertia1 + invInertia2),
+                    -maxImpulse,
+                    maxImpulse
+                );
+                const impulse = collision.rollingImpulse - temp;
+                body1.previousAngle = body1.previousAngle + impulse * invInertia1;
+                body2.previousAngle = body2.previousAngle - impulse * invInertia2;
+            }
+        }
+
+    }
+};
+
+/**
+ *    Moves back the bodies of the displacement undone by friction in `solveVelocity`,
+ *    without changing their velocities. The bodies are moved by the integration, gravity
+ *    included, before the friction is solved: moving them back of the impulse accumulated
+ *    by each contact (warm start included), the friction acts on the movement of the same
+ *    step as the gravity and the other forces, and can balance them exactly. This way a body
+ *    whose static friction holds it on a slope stays still, instead of sliding of the gravity
+ *    of one step at every step.
+ *    Only the displacement given by the forces of the step is undone: the small impulses
+ *    of the contacts of resting bodies, like in a stack, must not make them drift.
+ *
+ *    @param  {object[]} collisions - Collision objects after velocity solving.
+ *    @param  {object} dt - Time of the step, with properties `delta` and `lastDelta`.
+ *    @return {void}
+ */
+export const postSolveVelocity = (collisions, dt) => {
+    const shifts = new Map();
+    for (const { body1, body2, tangent, contacts } of collisions) {
+        if (body1.isTrigger || body2.isTrigger) {
+            continue;
+        }
+        for (const contact of contacts) {
+            const impulse = tangent.scalar(contact.tangentImpulse || 0);
             if (body1.shouldUpdate) {
-                body1.previousPosition = body1.previousPosition.add(totalImpulse.scalar(body1.invMass));
-                body1.previousAngle += r1.cross(totalImpulse) * body1.invInertia;
+                const shift = shifts.get(body1) || new Vector(0, 0);
+                shifts.set(body1, shift.sub(impulse.scalar(body1.invMass)));
             }
             if (body2.shouldUpdate) {
-                body2.previousPosition = body2.previousPosition.sub(totalImpulse.scalar(body2.invMass));
-                body2.previousAngle -= r2.cross(totalImpulse) * body2.invInertia;
+                const shift = shifts.get(body2) || new Vector(0, 0);
+                shifts.set(body2, shift.add(impulse.scalar(body2.invMass)));
             }
-
         }
+    }
 
+    // The same displacement as in `Body.update`
+    const correction = 0.5 * dt.delta * (dt.delta + dt.lastDelta);
+    for (const [ body, shift ] of shifts) {
+        const length = shift.length();
+        if (length === 0) {
+            continue;
+        }
+        const direction = shift.scalar(1 / length);
+        const push = body.force.scalar(correction / body.mass);
+        const amount = Math.min(length, Math.max(0, -push.dot(direction)));
+        if (amount > 0) {
+            const position = direction.scalar(amount);
+            body.translate(position);
+            body.previousPosition = body.previousPosition.add(position);
+        }
     }
 };
@@ -144,4 +144,22 @@ export default class Vector {
         return `(${this.x}, ${this.y})`;
     }
 
+    /**
+     *    Returns a plain object with the coordinates of this vector, to be converted to JSON.
+     *    @return {object} Object with properties `x` and `y`.
+     */
+    toJSON() {
+        return { x: this.x, y: this.y };
+    }
+
+    /**
+     *    Creates a vector from an object with properties `x` and `y`, like the ones
+     *    returned by `toJSON`.
+     *    @param  {object} json - Object with the coordinates of the vector.
+     *    @return {Vector} The new vector.
+     */
+    static fromJSON(json) {
+        return new Vector(json.x, json.y);
+    }
+
 };
@@ -4,7 +4,7 @@ import Vector from './Vector';
  * This module is a collection of useful algorithms to manipulate a group of vertices.
  */
 
-const INERTIA_SCALE = 0.05;
+export const INERTIA_SCALE = 0.05;
 
 /**
  *    Computes the area identified by a group of vertices.
@@ -59,6 +59,56 @@ export const contains = (vertices, point) => {
 
 };
 
+/**
+ *    Intersects a segment with the polygon defined by the given vertices.
+ *    Segments starting inside the polygon do not hit it.
+ *    @param  {Vector[]} vertices - Vertices of the polygon.
+ *    @param  {Vector} from - Starting point of the segment.
+ *    @param  {Vector} to - Ending point of the segment.
+ *    @return {object|null} `null` if the segment does not hit the polygon, otherwise
+ *            an object with the `fraction` of the segment at which the first hit happens
+ *            and the `normal` to the edge which was hit, facing the starting point.
+ */
+export const raycast = (vertices, from, to) => {
+
+    if (contains(vertices, from)) {
+        return null;
+    }
+
+    const direction = to.sub(from);
+    let result = null;
+
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const edge = vertices[(i + 1) % vertices.length].sub(a);
+
+        // Parallel segments never intersect
+        const denominator = direction.cross(edge);
+        if (denominator === 0) {
+            continue;
+        }
+
+        // Fractions of the intersection point along the segment and along the edge
+        const offset = a.sub(from);
+        const fraction = offset.cross(edge) / denominator;
+        const edgeFraction = offset.cross(direction) / denominator;
+        if (fraction < 0 || fraction > 1 || edgeFraction < 0 || edgeFraction > 1) {
+            continue;
+        }
+
+        if (!result || fraction < result.fraction) {
+            let normal = edge.perp().normalize();
+            if (normal.dot(direction) > 0) {
+                normal = normal.scalar(-1);
+            }
+            result = { fraction, normal };
+        }
+    }
+
+    return result;
+
+};
+
 /**
  *    Rotates IN PLACE the given set of vertices.
  *    @param {Vector[]} vertices - Vertices to rotate.
@@ -87,7 +137,7 @@ export const rotate = (vertices, angle, point) => {
  *    @param  {Vector[]} vertices - Vertices to compute the centroid of.
  *    @param  {number} [a] - Optional precomputed SIGNED area of the vertices.
  *                           If not given, is automatically computed.
- *    @return {Vector The centroid.
+ *    @return {Vector} The centroid.
  */
 export const centroid = (vertices, a = area(vertices, true)) => {
 
@@ -113,7 +163,7 @@ export const centroid = (vertices, a = area(vertices, true)) => {
  *                           If not given, is automatically computed.
  *    @return {number} The inertia.
  */
-export const inertia = (vertices, mass, c = centroid(certices)) => {
+export const inertia = (vertices, mass, c = centroid(vertices)) => {
 
     // Taken from:
     // http://www.physicsforums.com/showthread.php?t=25293
@@ -136,3 +186,138 @@ export const inertia = (vertices, mass, c = centroid(certices)) => {
     return INERTIA_SCALE * (mass / 6) * (numerator / denominator);
 
 };
+
+/**
+ *    Checks whether the given set of vertices forms a convex shape or not.
+ *    Collinear vertices are allowed.
+ *    @param  {Vector[]} vertices - Vertices to test.
+ *    @return {boolean} `true` if the shape is convex, `false` otherwise.
+ */
+export const isConvex = (vertices) => {
+
+    // A polygon is convex if all the turns between consecutive edges are in the same direction
+    let sign = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const c = vertices[(i + 2) % vertices.length];
+        const turn = Math.sign(b.sub(a).cross(c.sub(b)));
+        if (turn !== 0) {
+            if (sign !== 0 && turn !== sign) {
+                return false;
+            }
+            sign = turn;
+        }
+    }
+
+    return true;
+
+};
+
+// Returns `true` if `p` is inside or on the border of the triangle `abc` (counter-clockwise)
+const triangleContains = (a, b, c, p) => {
+    return b.sub(a).cross(p.sub(a)) >= 0 &&
+        c.sub(b).cross(p.sub(b)) >= 0 &&
+        a.sub(c).cross(p.sub(c)) >= 0;
+};
+
+// Merges two polygons (arrays of indices) sharing the edge from `a` to `b`.
+// The edge goes from `a` to `b` in `p`, and from `b` to `a` in `q`.
+const merge = (p, q, a, b) => {
+    const startingFrom = (poly, start) => {
+        const i = poly.indexOf(start);
+        return poly.slice(i).concat(poly.slice(0, i));
+    };
+    return startingFrom(p, b).concat(startingFrom(q, a).slice(1, -1));
+};
+
+// Finds an edge shared by two polygons (arrays of indices), or returns `null`.
+const sharedEdge = (p, q) => {
+    for (let i = 0; i < p.length; i++) {
+        const a = p[i];
+        const b = p[(i + 1) % p.length];
+        const j = q.indexOf(b);
+        if (j >= 0 && q[(j + 1) % q.length] === a) {
+            return [ a, b ];
+        }
+    }
+    return null;
+};
+
+/**
+ *    Decomposes a simple (not self-intersecting) polygon into a set of convex polygons.
+ *    The polygon is first triangulated using the ear clipping method, then the triangles
+ *    are merged back toghether as long as the result is convex (Hertel-Mehlhorn algorithm).
+ *    The result is not guaranteed to be optimal, but it never has more than four times
+ *    the minimum number of parts.
+ *    @param  {Vector[]} vertices - Vertices of the polygon.
+ *    @return {Array.<Vector[]>} Array of convex polygons, with counter-clockwise winding.
+ */
+export const decompose = (vertices) => {
+
+    // Work on the indices of the vertices, making sure that the winding is counter-clockwise
+    let indices = vertices.map((v, i) => i);
+    if (area(vertices, true) < 0) {
+        indices.reverse();
+    }
+
+    // Ear clipping: find a convex vertex whose triangle does not contain any other vertex,
+    // cut the triangle out and repeat until there are only three vertices left
+    const triangles = [];
+    while (indices.length > 3) {
+
+        let clipped = false;
+        for (let i = 0; i < indices.length && !clipped; i++) {
+
+            const prev = indices[(i - 1 + indices.length) % indices.length];
+            const cur = indices[i];
+            const next = indices[(i + 1) % indices.length];
+            const a = vertices[prev];
+            const b = vertices[cur];
+            const c = vertices[next];
+            const turn = b.sub(a).cross(c.sub(b));
+
+            // Collinear vertices are just removed
+            if (turn === 0) {
+                indices.splice(i, 1);
+                clipped = true;
+            } else if (turn > 0 && !indices.some(k =>
+                k !== prev && k !== cur && k !== next && triangleContains(a, b, c, vertices[k])
+            )) {
+                triangles.push([ prev, cur, next ]);
+                indices.splice(i, 1);
+                clipped = true;
+            }
+
+        }
+
+        if (!clipped) {
+            throw new Error('Cannot decompose a polygon which is not simple.');
+        }
+
+    }
+    if (indices.length === 3 && area(indices.map(i => vertices[i])) > 0) {
+        triangles.push(indices);
+    }
+
+    // Hertel-Mehlhorn: merge the polygons sharing an edge if the result is still convex
+    const polygons = triangles;
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < polygons.length && !merged; i++) {
+            for (let j = i + 1; j < polygons.length && !merged; j++) {
+                const edge = sharedEdge(polygons[i], polygons[j]);
+                const candidate = edge && merge(polygons[i], polygons[j], edge[0], edge[1]);
+                if (candidate && isConvex(candidate.map(k => vertices[k]))) {
+                    polygons[i] = candidate;
+                    polygons.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+
+    return polygons.map(p => p.map(k => vertices[k]));
+
+};
@@ -1,6 +1,25 @@
 export Vector from './geometry/Vector';
 export Body from './bodies/Body';
 export * as BodyFactory from './bodies/BodyFactory';
+export Composite from './bodies/Composite';
 export Engine from './core/Engine';
 export Renderer from './render/Renderer';
 export Timer from './core/Timer';
+export Runner from './core/Runner';
+export Recorder from './core/Recorder';
+export Player from './core/Player';
+export BroadPhase from './broadphase/BroadPhase';
+export BruteForce from './broadphase/BruteForce';
+export Grid from './broadphase/Grid';
+export SortAndSweep from './broadphase/SortAndSweep';
+export Constraint from './constraints/Constraint';
+export DistanceConstraint from './constraints/DistanceConstraint';
+export RevoluteConstraint from './constraints/RevoluteConstraint';
+export SpringConstraint from './constraints/SpringConstraint';
+export Material from './materials/Material';
+export ForceGenerator from './forces/ForceGenerator';
+export Attractor from './forces/Attractor';
+export Wind from './forces/Wind';
+export Explosion from './forces/Explosion';
+export Vortex from './forces/Vortex';
+export GravityZone from './forces/GravityZone';
@@ -0,0 +1,119 @@
+import extend from 'extend';
+
+// Functions combining the values of a property of two bodies.
+// When the bodies use different modes, the one listed later wins.
+const COMBINE_MODES = {
+    average: (value1, value2) => (value1 + value2) / 2,
+    min: Math.min,
+    multiply: (value1, value2) => value1 * value2,
+    max: Math.max
+};
+const PRIORITY = Object.keys(COMBINE_MODES);
+
+// Every material gets an unique id
+let nextId = 0;
+
+// Modes used by the bodies without a material
+const DEFAULT_MODES = { friction: 'min', restitution: 'max' };
+
+// Properties of the bodies given by their material
+export const PROPERTIES = [
+    'density',
+    'friction',
+    'staticFriction',
+    'rollingFriction',
+    'restitution'
+];
+
+/**
+ *    Returns the value of a property of a body, as used to combine it.
+ *    The static friction defaults to the dynamic one.
+ *    @param  {Body} body - Body to read the property of.
+ *    @param  {string} property - Name of the property.
+ *    @return {number} The value of the property.
+ */
+const valueOf = (body, property) => {
+    if (property === 'staticFriction' && typeof body.staticFriction !== 'number') {
+        return body.friction;
+    }
+    return body[property];
+};
+
+/**
+ *    Returns the mode used by a body to combine a property.
+ *    @param  {Body} body - Body to read the mode of.
+ *    @param  {string} property - Name of the property.
+ *    @return {string} The name of the mode, one of the keys of `COMBINE_MODES`.
+ */
+const modeOf = (body, property) => {
+    const kind = property === 'restitution' ? 'restitution' : 'friction';
+    return body.material ? body.material[`${kind}Combine`] : DEFAULT_MODES[kind];
+};
+
+/**
+ *    Combines the values of a property of two colliding bodies, according to their materials.
+ *    Static and dynamic friction are combined with the mode `frictionCombine`,
+ *    restitution with the mode `restitutionCombine`. When the two materials use
+ *    different modes, `max` wins over `multiply`, which wins over `min`,
+ *    which wins over `average`. Bodies without a material use `min` for the friction
+ *    and `max` for the restitution.
+ *    @param  {Body} body1 - First body.
+ *    @param  {Body} body2 - Second body.
+ *    @param  {string} property - One of `friction`, `staticFriction` and `restitution`.
+ *    @return {number} The combined value.
+ */
+export const combine = (body1, body2, property) => {
+    const mode = PRIORITY[Math.max(
+        PRIORITY.indexOf(modeOf(body1, property)),
+        PRIORITY.indexOf(modeOf(body2, property))
+    )];
+    return COMBINE_MODES[mode](valueOf(body1, property), valueOf(body2, property));
+};
+
+/**
+ *    Named set of physical properties which can be shared by many bodies,
+ *    like ice, rubber or wood.
+ *    When a body is given a material, it takes its density, frictions and restitution,
+ *    and uses its modes to combine them with the ones of the bodies it collides with.
+ *    The properties of two specific materials colliding with each other can be
+ *    overridden with `Engine.setMaterialPair`.
+ */
+export default class Material {
+
+    /**
+     *    Constructs a new `Material`.
+     *    @param {object} options - Object containing the properties to set on this object
+     *    immediately after construction:
+     *    - `id`: Unique id of the material, used to find its pairs in the engine.
+     *      Generated automatically, it is only given when loading a material.
+     *    - `name`: Name of the material.
+     *    - `density`, `friction`, `restitution`: The same as the properties of bodies.
+     *    - `staticFriction`: Friction which must be overcome for a body at rest to start
+     *      sliding. Defaults to `friction`.
+     *    - `rollingFriction`: Friction slowing down round bodies rolling on others.
+     *    - `frictionCombine`, `restitutionCombine`: How the friction and the restitution are
+     *      combined with the ones of other bodies: `average`, `min`, `multiply` or `max`.
+     */
+    constructor(options) {
+        extend(this, {
+            name: 'default',
+            density: 0.001,
+            friction: 0.1,
+            staticFriction: null,
+            rollingFriction: 0,
+            restitution: 0.5,
+            frictionCombine: 'min',
+            restitutionCombine: 'max'
+        }, options);
+
+        // Materials loaded from JSON keep their id, so that their pairs still apply
+        this.id = options && typeof options.id === 'number' ? options.id : nextId;
+        nextId = Math.max(nextId, this.id + 1);
+        for (const mode of [ this.frictionCombine, this.restitutionCombine ]) {
+            if (!COMBINE_MODES.hasOwnProperty(mode)) {
+                throw new Error(`Unknown combine mode: ${mode}.`);
+            }
+        }
+    }
+
+}
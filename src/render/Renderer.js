@@ -2,13 +2,34 @@ import EventEmitter from 'eventemitter3';
 import extend from 'extend';
 import { now } from '../core/util';
 
-const drawHull = (context, b) => {
-    context.beginPath();
+const traceShape = (context, b) => {
+
+    // Circles are drawn with a line from the center to show the rotation
+    if (b.isCircle) {
+        const { position: p, radius: r, angle } = b;
+        context.moveTo(p.x + r, p.y);
+        context.arc(p.x, p.y, r, 0, Math.PI * 2);
+        context.moveTo(p.x, p.y);
+        context.lineTo(p.x + Math.cos(angle) * r, p.y + Math.sin(angle) * r);
+        return;
+    }
+
     context.moveTo(b.vertices[0].x, b.vertices[0].y);
     b.vertices.forEach(v => context.lineTo(v.x, v.y));
     context.lineTo(b.vertices[0].x, b.vertices[0].y);
 };
 
+const drawHull = (context, b) => {
+    context.beginPath();
+
+    // Compound bodies are drawn part by part
+    if (b.isCompound) {
+        b.parts.forEach(p => traceShape(context, p));
+    } else {
+        traceShape(context, b);
+    }
+};
+
 const fillOrStroke = (context, b, name, fill, getOption) => {
     if (fill) {
         context.fillStyle = getOption(b, name + 'Fill');
@@ -21,6 +42,23 @@ const fillOrStroke = (context, b, name, fill, getOption) => {
     context.stroke();
 };
 
+// Highlights the collision vertices of a body with a white circle
+const drawCollisions = (context, b, collisions, getOption) => {
+    const r = 4;
+    for (const collision of collisions) {
+        if (!collision.colliding || (collision.body1 !== b && collision.body2 !== b)) {
+            continue;
+        }
+        context.beginPath();
+        for (let i = 0; i < collision.contacts.length; i++) {
+            const contact = collision.contacts[i].vertex;
+            context.moveTo(contact.x + r, contact.y);
+            context.arc(contact.x, contact.y, r, 0, Math.PI * 2);
+        }
+        fillOrStroke(context, b, 'collisions', true, getOption);
+    }
+};
+
 const drawSingleBody = (context, b, collisions, getOption) => {
 
     // If the body is invisible, skip it
@@ -60,7 +98,8 @@ const drawSingleBody = (context, b, collisions, getOption) => {
         const sy = getOption(b, 'sy');
         const dx = getOption(b, 'dx');
         const dy = getOption(b, 'dy');
-        context.drawImage(image, sx, sy, width, height, dx + b.position.x, dy + b.position.y, width, height);
+        context.drawImage(image, sx, sy, width, height,
+            dx + b.position.x, dy + b.position.y, width, height);
     }
 
     // Draw bounds
@@ -79,10 +118,7 @@ const drawSingleBody = (context, b, collisions, getOption) => {
     // A graphical feedback for sleeping bodies.
     // Redraws the body shape, but with a different color.
     if (getOption(b, 'showSleeping') && b.isSleeping) {
-        context.beginPath();
-        context.moveTo(b.vertices[0].x, b.vertices[0].y);
-        b.vertices.forEach(v => context.lineTo(v.x, v.y));
-        context.lineTo(b.vertices[0].x, b.vertices[0].y);
+        drawHull(context, b);
         fillOrStroke(context, b, 'sleeping', false, getOption);
     }
 
@@ -96,21 +132,9 @@ const drawSingleBody = (context, b, collisions, getOption) => {
         fillOrStroke(context, b, 'axes', false, getOption);
     }
 
-    // Collision vertices.
-    // Highlight collision vertices with a white circle.
+    // Collision vertices
     if (collisions && getOption(b, 'showCollisions')) {
-        const r = 4;
-        for (const collision of collisions) {
-            if (collision.colliding && (collision.body1 === b || collision.body2 === b)) {
-                context.beginPath();
-                for (let i = 0; i < collision.contacts.length; i++) {
-                    const contact = collision.contacts[i].vertex;
-                    context.moveTo(contact.x + r, contact.y);
-                    context.arc(contact.x, contact.y, r, 0, Math.PI * 2);
-                }
-                fillOrStroke(context, b, 'collisions', true, getOption);
-            }
-        }
+        drawCollisions(context, b, collisions, getOption);
     }
 
     // Velocities
@@ -125,6 +149,15 @@ const drawSingleBody = (context, b, collisions, getOption) => {
 
 };
 
+// Moves a point attached to a body (if any) to where it is when the body is drawn
+const interpolatePoint = (body, point, poses) => {
+    const pose = body && poses.get(body);
+    if (!pose) {
+        return point;
+    }
+    return point.sub(body.position).rotate(pose.angle - body.angle).add(pose.position);
+};
+
 /**
  *    HTML5 Canvas render for the physical engine.
  */
@@ -148,35 +181,41 @@ export default class Renderer extends EventEmitter {
             showSleeping: false,
             sleepingWidth: 1.5,
             sleepingStyle: '#eee',
-            sleepingDash: [5, 5],
+            sleepingDash: [ 5, 5 ],
 
             showWireframe: true,
             wireframeWidth: 1.5,
             wireframeStyle: '#000',
-            wireframeDash: [0, 0],
+            wireframeDash: [ 0, 0 ],
 
             showBounds: false,
             boundsWidth: 1,
             boundsStyle: 'orange',
-            boundsDash: [5, 5],
+            boundsDash: [ 5, 5 ],
 
             showAxes: true,
             axesWidth: 1,
             axesStyle: 'orange',
-            axesDash: [0, 0],
+            axesDash: [ 0, 0 ],
 
             showCollisions: false,
             collisionsWidth: 1,
             collisionsStyle: '#000',
-            collisionsDash: [0, 0],
+            collisionsDash: [ 0, 0 ],
             collisionsFill: '#9975B9',
 
             showVelocities: true,
             velocitiesWidth: 1.5,
             velocitiesStyle: '#06C',
-            velocitiesDash: [0, 0],
+            velocitiesDash: [ 0, 0 ],
 
-            showFPS: false
+            showConstraints: true,
+            constraintsWidth: 1.5,
+            constraintsStyle: '#666',
+            constraintsDash: [ 0, 0 ],
+
+            showFPS: false,
+            interpolate: true
         }, options);
         this._frameCount = 0;
         this._lastFrameCountReset = now();
@@ -185,25 +224,53 @@ export default class Renderer extends EventEmitter {
 
     /**
      *    Starts the rendering loop.
+     *    Without a timer, the engine is redrawn each time it is updated.
+     *    With a timer, the engine is redrawn once for each frame of the timer,
+     *    blending the state of the bodies between the last two steps (if the option
+     *    `interpolate` is set), so that the movements are smooth even when
+     *    the steps of the simulation do not match the frames.
+     *    @param {Timer} [timer] - Timer driving the simulation.
      */
-    start() {
+    start(timer) {
+        if (!this._canvas || typeof this._canvas.getContext !== 'function') {
+            throw new Error('The renderer needs a canvas, which is not available.');
+        }
         this._context = this._canvas.getContext('2d');
-        this._engine.on('update', this.render.bind(this));
+        this._timer = timer || null;
+        if (this._timer) {
+            this._onUpdate = (collisions) => {
+                this._collisions = collisions;
+            };
+            this._onFrame = ({ alpha }) => this.render(this._collisions, alpha);
+            this._timer.on('frame', this._onFrame);
+        } else {
+            this._onUpdate = (collisions) => this.render(collisions);
+        }
+        this._engine.on('update', this._onUpdate);
     }
 
     /**
      *    Stops the rendering loop.
      */
     stop() {
-        this._engine.removeListener('update', this.render.bind(this));
+        this._engine.removeListener('update', this._onUpdate);
+        if (this._timer) {
+            this._timer.removeListener('frame', this._onFrame);
+        }
+        this._timer = null;
+        this._collisions = null;
         this._context = null;
     }
 
     /**
      *    Redraws the current state of the engine.
+     *    @param {object[]} [collisions] - Collisions detected in the last step.
+     *    @param {number} [alpha] - Fraction of a step elapsed since the last one,
+     *    used to blend the state of the bodies between the last two steps.
      */
-    render(collisions) {
+    render(collisions, alpha = 1) {
         const { _engine: engine, _context: context, _canvas: canvas, _options: options } = this;
+        const blend = options.interpolate ? alpha : 1;
 
         // First step: a big cleanup.
         // Draw a completely transparent background to make sure that the canvas is transparent.
@@ -226,8 +293,22 @@ export default class Renderer extends EventEmitter {
             }
         };
 
+        // Where the bodies are drawn
+        const poses = new Map();
+        for (const b of engine.bodies) {
+            poses.set(b, b.interpolate(blend));
+        }
+
         // Cycle through all the bodies
         for (const b of engine.bodies) {
+
+            // Bodies are drawn from their current state, moved where they should be seen
+            const pose = poses.get(b);
+            context.save();
+            context.translate(pose.position.x, pose.position.y);
+            context.rotate(pose.angle - b.angle);
+            context.translate(-b.position.x, -b.position.y);
+
             const customDraw = getOption(b, 'draw');
             if (typeof customDraw === 'function') {
                 customDraw(context, b, collisions, {
@@ -237,6 +318,21 @@ export default class Renderer extends EventEmitter {
             } else {
                 drawSingleBody(context, b, collisions, getOption);
             }
+
+            context.restore();
+        }
+
+        // Constraints are drawn as segments between the anchor points
+        for (const c of engine.constraints) {
+            if (getOption(c, 'visible') && getOption(c, 'showConstraints')) {
+                const pA = interpolatePoint(c.bodyA, c.worldPointA, poses);
+                const pB = interpolatePoint(c.bodyB, c.worldPointB, poses);
+                context.globalAlpha = getOption(c, 'alpha');
+                context.beginPath();
+                context.moveTo(pA.x, pA.y);
+                context.lineTo(pB.x, pB.y);
+                fillOrStroke(context, c, 'constraints', false, getOption);
+            }
         }
 
         // Increment the frame counter
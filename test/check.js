@@ -0,0 +1,72 @@
+import { BodyFactory, Engine } from '../src';
+
+const checks = [];
+
+/**
+ *    Registers a check, which fails if the given function throws.
+ *    @param  {string} name - Description of the checked behaviour.
+ *    @param  {function} fn - Function performing the check, usually with `assert`.
+ *    @return {void}
+ */
+export const check = (name, fn) => {
+    checks.push({ name, fn });
+};
+
+/**
+ *    Runs all the registered checks, printing their outcome.
+ *    @return {boolean} `true` if all the checks passed.
+ */
+export const run = () => {
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            fn();
+            console.log(`ok - ${name}`);
+        } catch (e) {
+            failed++;
+            console.log(`not ok - ${name}`);
+            console.log(e.stack.split('\n').map(l => `    ${l}`).join('\n'));
+        }
+    }
+    console.log(`${checks.length - failed}/${checks.length} checks passed`);
+    return failed === 0;
+};
+
+/**
+ *    Creates an engine with a static ground, whose top is at `y = 390`.
+ *    @param  {Body[]} bodies - Other bodies to add.
+ *    @param  {object} [options] - Options of the engine.
+ *    @return {Engine} The engine.
+ */
+export const withGround = (bodies, options) => {
+    const ground = BodyFactory.rect(-100, 390, 800, 20, { isStatic: true });
+    return new Engine([ground].concat(bodies), options);
+};
+
+/**
+ *    Advances an engine of the given number of steps of the default length.
+ *    @param  {Engine} engine - Engine to advance.
+ *    @param  {number} count - Number of steps.
+ *    @return {void}
+ */
+export const steps = (engine, count) => {
+    for (let i = 0; i < count; i++) {
+        engine.update(1000 / 60);
+    }
+};
+
+/**
+ *    Advances an engine until all its bodies are sleeping.
+ *    @param  {Engine} engine - Engine to advance.
+ *    @param  {number} maxCount - Maximum number of steps.
+ *    @return {boolean} `true` if all the bodies fell asleep, `false` otherwise.
+ */
+export const stepsUntilSleeping = (engine, maxCount) => {
+    for (let i = 0; i < maxCount; i++) {
+        engine.update(1000 / 60);
+        if (engine.bodies.every(b => b.isStatic || b.isSleeping)) {
+            return true;
+        }
+    }
+    return false;
+};
@@ -0,0 +1,116 @@
+import assert from 'assert';
+import { BodyFactory, BruteForce, Engine, Grid, SortAndSweep, Vector } from '../../src';
+import { check, steps, withGround } from '../check';
+
+// Same sequence of numbers at every run
+const random = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+};
+
+const pairIds = (broadphase, bodies) => {
+    broadphase.update(bodies);
+    return broadphase.pairs().map(([ b1, b2 ]) => `${b1.id}-${b2.id}`);
+};
+
+check('grid and sort and sweep find the same pairs of brute force', () => {
+    const next = random(42);
+    const bodies = [];
+    for (let i = 0; i < 150; i++) {
+        const size = 5 + next() * 60;
+        const options = { isStatic: next() < 0.1 };
+        bodies.push(next() < 0.5
+            ? BodyFactory.rect(next() * 600, next() * 400, size, size * next() + 5, options)
+            : BodyFactory.circle(next() * 600, next() * 400, size / 2, options));
+    }
+    bodies.push(BodyFactory.rect(-100, 390, 800, 20, { isStatic: true }));
+
+    const expected = pairIds(new BruteForce(), bodies);
+    assert(expected.length > 0);
+    const grid = new Grid({ cellSize: 32, maxCellsPerBody: 16 });
+    assert.deepStrictEqual(pairIds(grid, bodies), expected);
+    assert.deepStrictEqual(pairIds(new SortAndSweep(), bodies), expected);
+    assert.deepStrictEqual(pairIds(new SortAndSweep({ axis: 'y' }), bodies), expected);
+});
+
+check('collision filters select the bodies colliding by category, mask and group', () => {
+    const onGround = BodyFactory.rect(100, 340, 40, 40, {
+        collisionFilter: { category: 0x0002, mask: 0x0001 }
+    });
+    const throughGround = BodyFactory.rect(200, 340, 40, 40, {
+        collisionFilter: { category: 0x0002, mask: 0x0004 }
+    });
+    const below = BodyFactory.rect(300, 340, 40, 40, { collisionFilter: { group: -1 } });
+    const above = BodyFactory.rect(300, 290, 40, 40, { collisionFilter: { group: -1 } });
+    const engine = withGround([ onGround, throughGround, below, above ]);
+    steps(engine, 120);
+
+    assert(Math.abs(onGround.position.y - 370) < 1);
+    assert(throughGround.position.y > 450);
+
+    // Bodies in the same negative group pass through each other
+    assert(Math.abs(below.position.y - 370) < 1);
+    assert(Math.abs(above.position.y - 370) < 1);
+});
+
+check('bodies in the same positive group collide regardless of their masks', () => {
+    const ground = BodyFactory.rect(-100, 390, 800, 20, {
+        isStatic: true,
+        collisionFilter: { group: 1, mask: 0 }
+    });
+    const box = BodyFactory.rect(100, 340, 40, 40, { collisionFilter: { group: 1, mask: 0 } });
+    const other = BodyFactory.rect(200, 340, 40, 40, { collisionFilter: { group: 2 } });
+    const engine = new Engine([ ground, box, other ]);
+    steps(engine, 120);
+
+    assert(Math.abs(box.position.y - 370) < 1);
+    assert(other.position.y > 450);
+});
+
+check('collision events start, stay active and end in order', () => {
+    const box = BodyFactory.rect(100, 340, 40, 40);
+    const engine = withGround([box]);
+    const events = [];
+    let step = 0;
+    [ 'collisionStart', 'collisionActive', 'collisionEnd' ].forEach(name => {
+        box.on(name, () => events.push({ name, step }));
+        engine.on(name, collisions => assert.strictEqual(collisions.length, 1));
+    });
+
+    for (; step < 60; step++) {
+        engine.update(1000 / 60);
+    }
+    box.position = new Vector(120, 200);
+    for (; step < 70; step++) {
+        engine.update(1000 / 60);
+    }
+
+    // Consecutive events of the same kind are grouped
+    const sequence = events.filter((e, i) => i === 0 || events[i - 1].name !== e.name);
+    assert.deepStrictEqual(
+        sequence.map(e => e.name),
+        [ 'collisionStart', 'collisionActive', 'collisionEnd' ]
+    );
+    assert.strictEqual(sequence[1].step, sequence[0].step + 1);
+    assert.strictEqual(sequence[2].step, 60);
+    assert.strictEqual(events.filter(e => e.name === 'collisionStart').length, 1);
+    assert.strictEqual(events.filter(e => e.name === 'collisionEnd').length, 1);
+});
+
+check('a compound body landing on its two legs starts a single collision', () => {
+    const body = BodyFactory.compound([
+        BodyFactory.rect(200, 340, 10, 40),
+        BodyFactory.rect(250, 340, 10, 40),
+        BodyFactory.rect(200, 330, 60, 10)
+    ]);
+    const engine = withGround([body]);
+    const started = [];
+    const ended = [];
+    engine.on('collisionStart', (collisions) => started.push(...collisions));
+    engine.on('collisionEnd', (collisions) => ended.push(...collisions));
+    steps(engine, 120);
+    assert(body.parts.length > 1);
+    assert.strictEqual(engine.pairs.size, 2);
+    assert.strictEqual(started.length, 1);
+    assert.strictEqual(ended.length, 0);
+});
@@ -0,0 +1,27 @@
+import assert from 'assert';
+import { BodyFactory, Composite, Engine } from '../../src';
+import { check } from '../check';
+
+check('a composite finds and hides the objects nested at any depth', () => {
+    const render = { fillStyle: '#f00' };
+    const cage = BodyFactory.cage(0, 0, 200, 200, 10, { render });
+    const ball = BodyFactory.circle(100, 100, 10, { render });
+    const level = new Composite({ bodies: [ball] }).add(cage);
+    assert(level.contains(cage.bodies[0]));
+    assert(!cage.contains(ball));
+    cage.hide();
+    assert(cage.allBodies().every(b => b.render.visible === false));
+    assert.strictEqual(typeof ball.render.visible, 'undefined');
+    level.show();
+    assert(level.allBodies().every(b => b.render.visible === true));
+});
+
+check('the engine flattens the composites given to it in its own arrays', () => {
+    const chain = BodyFactory.stack(100, 100, 3, 1, (x, y) => BodyFactory.rect(x, y, 20, 20));
+    const bodies = [ chain, BodyFactory.circle(0, 0, 10) ];
+    const engine = new Engine(bodies);
+    assert.strictEqual(engine.bodies.length, 4);
+    assert.notStrictEqual(engine.bodies, bodies);
+    bodies.push(BodyFactory.circle(50, 0, 10));
+    assert.strictEqual(engine.bodies.length, 4);
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import { BodyFactory, Vector, DistanceConstraint, SpringConstraint } from '../../src';
+import { check, withGround, steps, stepsUntilSleeping } from '../check';
+
+check('a sleeping body follows a fixed anchor point dragged away', () => {
+    const box = BodyFactory.rect(280, 350, 40, 40);
+    const engine = withGround([box]);
+    const mouse = new DistanceConstraint({
+        pointA: new Vector(300, 250),
+        bodyB: box,
+        length: 150,
+        rope: true
+    });
+    engine.constraints.push(mouse);
+    assert(stepsUntilSleeping(engine, 1000));
+
+    // The rope gets taut after 15 steps
+    engine.on('preUpdate', () => {
+        mouse.pointA = mouse.pointA.add(new Vector(0, -2));
+    });
+    steps(engine, 40);
+    assert(!box.isSleeping);
+    assert(box.position.y < 350);
+});
+
+check('a spring wakes up the sleeping body at its end when the other end moves', () => {
+    const a = BodyFactory.rect(180, 350, 40, 40);
+    const b = BodyFactory.rect(240, 350, 40, 40);
+    const engine = withGround([ a, b ]);
+    engine.constraints.push(new SpringConstraint({ bodyA: a, bodyB: b }));
+    assert(stepsUntilSleeping(engine, 1000));
+
+    a.wake();
+    a.translate(new Vector(-5, 0));
+
+    // The velocity of `a` is known to the spring only after its first step
+    steps(engine, 2);
+    assert(!b.isSleeping);
+});
+
+check('bodies held by constraints at rest still fall asleep', () => {
+    const links = [ 0, 1, 2, 3 ].map(i => BodyFactory.rect(200 + i * 50, 350, 40, 40));
+    const engine = withGround(links);
+    const pointA = new Vector(170, 370);
+    engine.constraints.push(new DistanceConstraint({ pointA, bodyB: links[0] }));
+    for (let i = 1; i < links.length; i++) {
+        engine.constraints.push(new DistanceConstraint({ bodyA: links[i - 1], bodyB: links[i] }));
+    }
+    assert(stepsUntilSleeping(engine, 1000));
+    steps(engine, 100);
+    assert(links.every(b => b.isSleeping));
+});
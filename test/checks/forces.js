@@ -0,0 +1,23 @@
+import assert from 'assert';
+import { BodyFactory, Engine, Explosion, Vector } from '../../src';
+import { check } from '../check';
+
+// Distance travelled in 10 updates by a box after an explosion next to it
+const blast = (subSteps) => {
+    const box = BodyFactory.rect(230, 180, 40, 40, { frictionAir: 0 });
+    const engine = new Engine([box], { gravity: new Vector(0, 0), subSteps });
+    engine.add(new Explosion({ position: new Vector(200, 200), radius: 200 }));
+    engine.update(16);
+    assert.strictEqual(engine.forceGenerators.length, 0);
+    const start = box.position;
+    for (let i = 0; i < 10; i++) {
+        engine.update(16);
+    }
+    return box.position.sub(start).length();
+};
+
+check('an explosion gives the same speed to the bodies, whatever the sub-steps', () => {
+    const distance = blast(1);
+    assert(distance > 1);
+    assert(Math.abs(blast(4) - distance) < distance * 0.1);
+});
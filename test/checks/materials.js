@@ -0,0 +1,130 @@
+import assert from 'assert';
+import extend from 'extend';
+import { BodyFactory, Engine, Material, Vector } from '../../src';
+import { check, withGround, steps } from '../check';
+
+// Distance slid by a box launched on the ground
+const slide = (material, pairs = []) => {
+    const box = BodyFactory.rect(80, 349, 40, 40, { material });
+    const engine = withGround([box]);
+    engine.bodies[0].material = material;
+    pairs.forEach(p => engine.setMaterialPair(...p));
+    box.setVelocity(new Vector(5, 0));
+    steps(engine, 200);
+    return box.position.x - 100;
+};
+
+check('a slippery material slides farther, unless a pair overrides it', () => {
+    const wood = new Material({ name: 'wood', friction: 0.5 });
+    const ice = new Material({ name: 'ice', friction: 0.02, frictionCombine: 'multiply' });
+    assert(slide(ice) > slide(wood) + 50);
+    assert(slide(ice, [[ ice, ice, { friction: 0.5 } ]]) < slide(ice) - 50);
+});
+
+// Distance slid in 300 steps by a box resting on a slope
+const slideOnSlope = (angle, staticFriction) => {
+    const options = { friction: 0.3, staticFriction, angle };
+    const slope = BodyFactory.rect(-300, 290, 1200, 20, extend({ isStatic: true }, options));
+    const normal = new Vector(Math.sin(angle), -Math.cos(angle));
+    const box = BodyFactory.rect(280 + normal.x * 30, 280 + normal.y * 30, 40, 40, options);
+    const engine = new Engine([ slope, box ], { enableSleeping: false });
+    steps(engine, 100);
+    const start = box.position;
+    steps(engine, 300);
+    return box.position.sub(start).length();
+};
+
+check('the static friction holds a box still on a slope, until it is overcome', () => {
+    assert(slideOnSlope(0.35, 0.5) < 5);
+    assert(slideOnSlope(0.35, 0.3) > 100);
+});
+
+check('a box resting on a moving kinematic slope is carried without sliding', () => {
+    const options = { friction: 0.5, angle: 0.3 };
+    const platform = BodyFactory.rect(0, 300, 300, 20, extend({ isKinematic: true }, options));
+    const normal = new Vector(Math.sin(options.angle), -Math.cos(options.angle));
+    const center = platform.position.add(normal.scalar(30));
+    const box = BodyFactory.rect(center.x - 20, center.y - 20, 40, 40, options);
+    const engine = withGround([ platform, box ], { enableSleeping: false });
+    platform.setVelocity(new Vector(1, 0));
+    steps(engine, 20);
+    const offset = box.position.sub(platform.position);
+    steps(engine, 200);
+    assert(box.position.sub(platform.position).sub(offset).length() < 0.5);
+    assert(Math.abs(box.velocity.x - 1) < 0.01);
+});
+
+// Distance rolled by a ball launched on the ground
+const roll = (rollingFriction) => {
+    const ball = BodyFactory.circle(100, 349, 20, { friction: 0.5, rollingFriction });
+    const engine = withGround([ball], { enableSleeping: false });
+    steps(engine, 30);
+    ball.setVelocity(new Vector(3, 0));
+    steps(engine, 300);
+    return { distance: ball.position.x - 120, speed: ball.velocity.length() };
+};
+
+check('the rolling friction stops a rolling ball', () => {
+    const free = roll(0);
+    const slowed = roll(0.05);
+    assert(free.speed > 0.1);
+    assert(slowed.speed < 0.001);
+    assert(slowed.distance < free.distance - 100);
+});
+
+check('an unknown combine mode is rejected', () => {
+    assert.throws(() => new Material({ frictionCombine: 'foo' }), /Unknown combine mode/);
+});
+
+check('the bodies loaded from JSON still share their materials', () => {
+    const wood = new Material({ name: 'wood', friction: 0.5 });
+    const ice = new Material({ name: 'ice', friction: 0.02 });
+    const engine = withGround([
+        BodyFactory.rect(100, 100, 20, 20, { material: wood }),
+        BodyFactory.rect(200, 100, 20, 20, { material: wood }),
+        BodyFactory.rect(300, 100, 20, 20, { material: ice })
+    ]);
+    const loaded = Engine.fromJSON(JSON.parse(JSON.stringify(engine)));
+    const [ , first, second, third ] = loaded.bodies.map(b => b.material);
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(first, third);
+    assert.strictEqual(third.name, 'ice');
+});
+
+check('the pairs of materials are told apart even with the same name', () => {
+    const wood = new Material({ name: 'ice', friction: 0.5 });
+    const ice = new Material({ name: 'ice', friction: 0.02, frictionCombine: 'multiply' });
+    assert(slide(ice, [[ wood, wood, { friction: 0.02 } ]]) > slide(wood) + 50);
+    assert(Math.abs(slide(wood, [[ ice, ice, { friction: 0.5 } ]]) - slide(wood)) < 1);
+});
+
+check('setting a material recomputes the mass and the inertia of the body', () => {
+    const heavy = new Material({ density: 0.004 });
+    const box = BodyFactory.rect(100, 100, 40, 20);
+    const { mass, inertia } = box;
+    box.material = heavy;
+    assert(Math.abs(box.mass - mass * 4) < 1e-9);
+    assert(Math.abs(box.inertia - inertia * 4) < 1e-9);
+    assert.deepStrictEqual(box.position.toJSON(), { x: 120, y: 110 });
+
+    // Static bodies keep an infinite mass
+    const ground = BodyFactory.rect(0, 400, 800, 20, { isStatic: true });
+    ground.material = heavy;
+    assert.strictEqual(ground.mass, Infinity);
+    assert.strictEqual(ground.invMass, 0);
+});
+
+check('the pairs of materials still apply to the bodies loaded from JSON', () => {
+    const ice = new Material({ name: 'ice', friction: 0.02, frictionCombine: 'multiply' });
+    const box = BodyFactory.rect(80, 349, 40, 40, { material: ice });
+    const engine = withGround([box]);
+    engine.bodies[0].material = ice;
+    engine.setMaterialPair(ice, ice, { friction: 0.5 });
+    const loaded = Engine.fromJSON(JSON.parse(JSON.stringify(engine)));
+    for (const e of [ engine, loaded ]) {
+        e.bodies[1].setVelocity(new Vector(5, 0));
+        steps(e, 200);
+    }
+    assert.strictEqual(loaded.bodies[1].position.x, box.position.x);
+    assert(box.position.x - 100 < slide(ice) - 50);
+});
@@ -0,0 +1,99 @@
+import assert from 'assert';
+import extend from 'extend';
+import { BodyFactory, Vector } from '../../src';
+import { check, withGround, steps } from '../check';
+
+// Shoots a small ball against a thin wall, returning the final position of the ball
+const shoot = (options) => {
+    const wall = BodyFactory.rect(398, 200, 4, 200, { isStatic: true });
+    const ball = BodyFactory.circle(100, 300, 3, extend({ frictionAir: 0 }, options));
+    const engine = withGround([ wall, ball ], { gravity: new Vector(0, 0) });
+    ball.previousPosition = ball.position.sub(new Vector(80, 0));
+    steps(engine, 10);
+    return ball.position;
+};
+
+check('a bullet does not pass through a thin wall', () => {
+    assert(shoot({ isBullet: true }).x < 400);
+    assert(shoot({ isBullet: false }).x > 400);
+});
+
+check('a raycast finds the bodies along the segment, nearest first', () => {
+    const near = BodyFactory.rect(190, 290, 20, 20);
+    const far = BodyFactory.rect(390, 290, 20, 20);
+    const hidden = BodyFactory.rect(290, 290, 20, 20, { collisionFilter: { category: 0x0002 } });
+    const trigger = BodyFactory.rect(90, 290, 20, 20, { isTrigger: true });
+    const engine = withGround([ far, hidden, near, trigger ]);
+
+    const hits = engine.raycast(new Vector(0, 300), new Vector(600, 300), {
+        collisionFilter: { mask: 0x0001 }
+    });
+    assert.deepStrictEqual(hits.map(h => h.body.id), [ near.id, far.id ]);
+    assert(Math.abs(hits[0].point.x - 190) < 1e-6);
+    assert(Math.abs(hits[0].fraction - 190 / 600) < 1e-6);
+    assert(Math.abs(hits[0].normal.x + 1) < 1e-6);
+
+    const all = engine.raycast(new Vector(0, 300), new Vector(600, 300), { includeTriggers: true });
+    assert.deepStrictEqual(all.map(h => h.body.id), [ trigger.id, near.id, hidden.id, far.id ]);
+});
+
+check('a shape cast finds where a dropped body would land', () => {
+    const engine = withGround([BodyFactory.rect(200, 290, 100, 100, { isStatic: true })]);
+    const crate = BodyFactory.rect(230, 100, 40, 40);
+    const [landing] = engine.shapecast(crate, new Vector(0, 400));
+    assert(Math.abs(crate.position.y + landing.fraction * 400 - 270) < 0.1);
+
+    const aside = BodyFactory.rect(430, 100, 40, 40);
+    const [ground] = engine.shapecast(aside, new Vector(0, 400));
+    assert(Math.abs(aside.position.y + ground.fraction * 400 - 370) < 0.1);
+});
+
+check('the point query finds the body containing the point', () => {
+    const box = BodyFactory.rect(190, 290, 20, 20);
+    const ball = BodyFactory.circle(300, 300, 10);
+    [ 'grid', 'sortAndSweep', 'bruteForce' ].forEach(broadphase => {
+        const engine = withGround([ box, ball ], { broadphase });
+        assert.deepStrictEqual(engine.queryPoint(new Vector(195, 295)).map(b => b.id), [box.id]);
+        assert.deepStrictEqual(engine.queryPoint(new Vector(307, 300)).map(b => b.id), [ball.id]);
+        assert.strictEqual(engine.queryPoint(new Vector(250, 295)).length, 0);
+        assert.strictEqual(engine.queryPoint(new Vector(308, 308)).length, 0);
+    });
+});
+
+check('the shape queries find the bodies intersecting the shape', () => {
+    const box = BodyFactory.rect(190, 290, 20, 20);
+    const ball = BodyFactory.circle(300, 300, 10);
+    const engine = withGround([ box, ball ]);
+    const ids = (bodies) => bodies.map(b => b.id).sort((a, b) => a - b);
+
+    const bounds = { min: new Vector(205, 295), max: new Vector(295, 305) };
+    assert.deepStrictEqual(ids(engine.queryBounds(bounds)), [ box.id, ball.id ]);
+    assert.deepStrictEqual(ids(engine.queryCircle(new Vector(240, 300), 35)), [box.id]);
+
+    // The hole of the concave polygon contains the ball, which is not found
+    const concave = [
+        new Vector(180, 280), new Vector(330, 280), new Vector(330, 320),
+        new Vector(315, 320), new Vector(315, 285), new Vector(275, 285),
+        new Vector(275, 320), new Vector(180, 320)
+    ];
+    assert.deepStrictEqual(ids(engine.queryPolygon(concave)), [box.id]);
+});
+
+check('the contact query finds the bodies touching the given one', () => {
+    const box = BodyFactory.rect(190, 350, 40, 40);
+    const engine = withGround([box]);
+    steps(engine, 60);
+    assert.deepStrictEqual(engine.queryContacts(box), [engine.bodies[0]]);
+    assert.deepStrictEqual(engine.queryContacts(box, { collisionFilter: { mask: 0 } }), []);
+});
+
+check('a query with a concave polygon does not change the ids of the next bodies', () => {
+    const engine = withGround([]);
+    const before = BodyFactory.circle(0, 0, 10).id;
+    const concave = [
+        new Vector(0, 0), new Vector(100, 0), new Vector(100, 100),
+        new Vector(50, 20), new Vector(0, 100)
+    ];
+    engine.queryPolygon(concave);
+    assert.strictEqual(BodyFactory.circle(0, 0, 10).id, before + 1);
+});
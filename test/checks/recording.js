@@ -0,0 +1,97 @@
+import assert from 'assert';
+import { BodyFactory, Explosion, Vector, Recorder, Player } from '../../src';
+import { check, withGround, steps } from '../check';
+
+// A deterministic scene in which a body is pushed by a force at every step
+const scene = () => {
+    const engine = withGround([
+        BodyFactory.rect(280, 300, 40, 40),
+        BodyFactory.circle(320, 200, 15),
+        BodyFactory.polygon(300, 100, 5, 25)
+    ], { deterministic: true });
+    const ball = engine.bodies[2];
+    engine.on('preUpdate', () => {
+        ball.force = ball.force.add(new Vector(0.0005, 0));
+    });
+    return engine;
+};
+
+check('a recording is replayed exactly, with the bodies added along the way', () => {
+    const engine = scene();
+    const recorder = new Recorder(engine, { hashInterval: 5 });
+    recorder.start();
+    steps(engine, 30);
+    engine.add(BodyFactory.circle(250, 100, 10));
+    engine.options.timeScale = 0.5;
+    steps(engine, 30);
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+
+    assert.strictEqual(recording.steps.length, 60);
+    const player = new Player(recording);
+    assert.strictEqual(player.play(), true);
+    assert.strictEqual(player.engine.stateHash(), engine.stateHash());
+});
+
+check('a recording with sub-steps is replayed with the forces of each sub-step', () => {
+    const engine = scene();
+    engine.options.subSteps = 4;
+    const [ , box ] = engine.bodies;
+    let count = 0;
+    engine.on('preUpdate', () => {
+        count++;
+        box.force = box.force.add(new Vector(count % 2 ? 0.001 : -0.001, 0));
+    });
+    const recorder = new Recorder(engine);
+    recorder.start();
+    steps(engine, 20);
+    engine.options.subSteps = 2;
+    steps(engine, 20);
+    const recording = recorder.stop();
+
+    assert.strictEqual(recording.steps.length, 40);
+    assert.strictEqual(recording.steps[0].forces.length, 4);
+    const player = new Player(recording);
+    assert.strictEqual(player.play(), true);
+    assert.strictEqual(player.engine.stateHash(), engine.stateHash());
+});
+
+check('a recording with sub-steps replays an explosion as it happened', () => {
+    const engine = scene();
+    engine.options.subSteps = 3;
+    const recorder = new Recorder(engine, { hashInterval: 1 });
+    recorder.start();
+    steps(engine, 10);
+    engine.add(new Explosion({ position: new Vector(300, 360), radius: 200, duration: 40 }));
+    steps(engine, 30);
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+
+    assert.strictEqual(recording.steps.length, 40);
+    const player = new Player(recording);
+    const generators = [];
+    while (player.step()) {
+        generators.push(player.engine.forceGenerators.length);
+    }
+    assert.deepStrictEqual(player.mismatches, []);
+    assert.strictEqual(player.engine.stateHash(), engine.stateHash());
+
+    // The explosion lasts for the same updates as when it was recorded
+    assert.deepStrictEqual(generators.slice(9, 14), [ 0, 1, 1, 0, 0 ]);
+});
+
+check('a replay that diverges from the recording is reported', () => {
+    const engine = scene();
+    const recorder = new Recorder(engine);
+    recorder.start();
+    steps(engine, 20);
+    const recording = recorder.stop();
+
+    const player = new Player(recording);
+    const mismatches = [];
+    player.on('mismatch', m => mismatches.push(m));
+    for (let i = 0; i < 10; i++) {
+        player.step();
+    }
+    player.engine.bodies[1].translate(new Vector(1, 0));
+    assert.strictEqual(player.play(), false);
+    assert.strictEqual(mismatches[0].step, 10);
+});
@@ -0,0 +1,22 @@
+import assert from 'assert';
+import { BodyFactory, Engine } from '../../src';
+import { check, withGround, steps } from '../check';
+
+const scene = () => withGround([
+    BodyFactory.rect(280, 300, 40, 40),
+    BodyFactory.circle(320, 200, 15),
+    BodyFactory.polygon(300, 100, 5, 25)
+]);
+
+// Position and angle of all the bodies of an engine
+const state = (engine) => engine.bodies.map(b => [ b.id, b.position.toJSON(), b.angle ]);
+
+check('an engine loaded from JSON goes on exactly as the original', () => {
+    const engine = scene();
+    steps(engine, 40);
+    const copy = Engine.fromJSON(JSON.parse(JSON.stringify(engine.toJSON())));
+    assert.deepStrictEqual(state(copy), state(engine));
+    steps(engine, 40);
+    steps(copy, 40);
+    assert.deepStrictEqual(state(copy), state(engine));
+});
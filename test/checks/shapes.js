@@ -0,0 +1,40 @@
+import assert from 'assert';
+import { BodyFactory, Vector } from '../../src';
+import * as Vertices from '../../src/geometry/Vertices';
+import { check } from '../check';
+
+const points = (coordinates) => coordinates.map(([ x, y ]) => new Vector(x, y));
+
+const concaveShapes = {
+    arrow: points([ [ 0, 0 ], [ 60, 30 ], [ 0, 60 ], [ 20, 30 ] ]),
+    cross: points([
+        [ 20, 0 ], [ 40, 0 ], [ 40, 20 ], [ 60, 20 ], [ 60, 40 ], [ 40, 40 ],
+        [ 40, 60 ], [ 20, 60 ], [ 20, 40 ], [ 0, 40 ], [ 0, 20 ], [ 20, 20 ]
+    ]),
+    comb: points([
+        [ 0, 0 ], [ 10, 0 ], [ 10, 30 ], [ 20, 30 ], [ 20, 0 ], [ 30, 0 ],
+        [ 30, 30 ], [ 40, 30 ], [ 40, 0 ], [ 50, 0 ], [ 50, 40 ], [ 0, 40 ]
+    ])
+};
+
+Object.keys(concaveShapes).forEach(name => {
+    check(`a concave ${name} is decomposed into convex parts with the same area`, () => {
+        const vertices = concaveShapes[name];
+        assert(!Vertices.isConvex(vertices));
+
+        const polygons = Vertices.decompose(vertices);
+        assert(polygons.length > 1);
+        assert(polygons.every(p => Vertices.isConvex(p)));
+        const area = polygons.reduce((sum, p) => sum + Vertices.area(p), 0);
+        assert(Math.abs(area - Vertices.area(vertices)) < 1e-9);
+
+        // Also clockwise polygons are decomposed
+        const reversed = Vertices.decompose(vertices.slice().reverse());
+        assert.strictEqual(reversed.length, polygons.length);
+
+        const body = BodyFactory.fromVertices(100, 100, vertices);
+        assert.strictEqual(body.parts.length, polygons.length);
+        assert(body.parts.every(p => Vertices.isConvex(p.vertices)));
+        assert(Math.abs(body.area - Vertices.area(vertices)) < 1e-9);
+    });
+});
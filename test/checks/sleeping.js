@@ -0,0 +1,62 @@
+import assert from 'assert';
+import { BodyFactory, Runner, Vector } from '../../src';
+import { check, withGround, steps, stepsUntilSleeping } from '../check';
+
+check('a ball resting on the ground falls asleep', () => {
+    const ball = BodyFactory.circle(300, 300, 20);
+    const engine = withGround([ ball, BodyFactory.rect(100, 350, 40, 40) ]);
+    assert(stepsUntilSleeping(engine, 1000));
+    assert(ball.isSleeping);
+});
+
+check('a slow kinematic platform lifts the box sleeping on it', () => {
+    const platform = BodyFactory.rect(100, 300, 200, 20, { isKinematic: true });
+    const box = BodyFactory.rect(180, 260, 40, 40);
+    const engine = withGround([ platform, box ]);
+    assert(new Runner(engine).runUntilSleeping(1000));
+    platform.setVelocity(new Vector(0, -0.15));
+    steps(engine, 100);
+    assert(box.bounds.max.y <= platform.bounds.min.y + 1);
+});
+
+check('a removed ground wakes up the bodies resting on it', () => {
+    const box = BodyFactory.rect(280, 350, 40, 40);
+    const engine = withGround([box]);
+    assert(new Runner(engine).runUntilSleeping(1000));
+    engine.remove(engine.bodies[0]);
+    steps(engine, 10);
+    assert(!box.isSleeping);
+    assert(box.position.y > 370 + 1);
+});
+
+check('a stack falls asleep and wakes up as a whole', () => {
+    const bottom = BodyFactory.rect(280, 350, 40, 40);
+    const top = BodyFactory.rect(280, 310, 40, 40);
+    const engine = withGround([ bottom, top ]);
+    let step = 0;
+    engine.on('update', () => step++);
+    const asleepAt = new Map();
+    [ bottom, top ].forEach(b => b.on('sleepEnter', () => asleepAt.set(b, step)));
+    assert(new Runner(engine).runUntilSleeping(1000));
+    assert.strictEqual(asleepAt.get(bottom), asleepAt.get(top));
+
+    // A box dropped on the top one wakes up the bottom one too
+    engine.add(BodyFactory.rect(280, 150, 40, 40));
+    assert(new Runner(engine).runUntil(() => !top.isSleeping, 200));
+    assert(!bottom.isSleeping);
+});
+
+check('a body can be put asleep and woken up explicitly, once', () => {
+    const box = BodyFactory.rect(280, 350, 40, 40);
+    const engine = withGround([box]);
+    const events = [];
+    box.on('sleepEnter', () => events.push('sleepEnter'));
+    box.on('sleepExit', () => events.push('sleepExit'));
+    box.sleep();
+    box.sleep();
+    box.wake();
+    box.wake();
+    engine.bodies[0].sleep();
+    assert.deepStrictEqual(events, [ 'sleepEnter', 'sleepExit' ]);
+    assert(!engine.bodies[0].isSleeping);
+});
@@ -0,0 +1,63 @@
+import assert from 'assert';
+import { BodyFactory, DistanceConstraint, Vector } from '../../src';
+import { check, withGround, steps, stepsUntilSleeping } from '../check';
+
+check('a restored snapshot goes on exactly as the first time', () => {
+    const engine = withGround([
+        BodyFactory.rect(280, 300, 40, 40),
+        BodyFactory.circle(320, 200, 15),
+        BodyFactory.polygon(300, 100, 5, 25)
+    ]);
+    steps(engine, 20);
+    const [ , box ] = engine.bodies;
+    const snapshot = engine.snapshot();
+    const hash = engine.stateHash();
+
+    steps(engine, 20);
+    const expected = engine.stateHash();
+    const added = BodyFactory.circle(100, 100, 10);
+    engine.remove(box);
+    engine.add(added);
+    steps(engine, 20);
+
+    engine.restore(snapshot);
+    assert.strictEqual(engine.stateHash(), hash);
+    assert.ok(engine.bodies.includes(box));
+    assert.ok(!engine.bodies.includes(added));
+    steps(engine, 20);
+    assert.strictEqual(engine.stateHash(), expected);
+
+    // The same snapshot can be restored again
+    engine.restore(snapshot);
+    steps(engine, 20);
+    assert.strictEqual(engine.stateHash(), expected);
+});
+
+check('restoring a snapshot does not fire the sleeping events', () => {
+    const engine = withGround([BodyFactory.circle(320, 360, 15)]);
+    const [ , ball ] = engine.bodies;
+    const awake = engine.snapshot();
+    assert.ok(stepsUntilSleeping(engine, 1000));
+    const asleep = engine.snapshot();
+
+    // A slack rope holding the sleeping ball is removed by the restore
+    const rope = new DistanceConstraint({
+        pointA: new Vector(320, 300),
+        bodyB: ball,
+        length: 150,
+        rope: true
+    });
+    engine.add(rope);
+    steps(engine, 2);
+    assert.strictEqual(ball.isSleeping, true);
+
+    const events = [];
+    ball.on('sleepEnter', () => events.push('sleepEnter'));
+    ball.on('sleepExit', () => events.push('sleepExit'));
+    engine.restore(asleep);
+    assert.strictEqual(ball.isSleeping, true);
+    assert.ok(!engine.constraints.includes(rope));
+    engine.restore(awake);
+    assert.strictEqual(ball.isSleeping, false);
+    assert.deepStrictEqual(events, []);
+});
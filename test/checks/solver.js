@@ -0,0 +1,78 @@
+import assert from 'assert';
+import { BodyFactory, Engine, Vector } from '../../src';
+import { check, withGround, steps } from '../check';
+
+check('an update split in sub-steps is the same as as many smaller updates', () => {
+    const create = (subSteps) => {
+        const ball = BodyFactory.circle(100, 100, 10);
+        ball.previousPosition = ball.position.sub(new Vector(1, 0));
+        return new Engine([ball], { subSteps });
+    };
+    const split = create(4);
+    const single = create(1);
+    let count = 0;
+    split.on('update', () => count++);
+
+    for (let i = 0; i < 10; i++) {
+        split.update(16);
+        for (let j = 0; j < 4; j++) {
+            single.update(4);
+        }
+    }
+    assert.strictEqual(count, 40);
+    assert.deepStrictEqual(split.bodies[0].position.toJSON(), single.bodies[0].position.toJSON());
+});
+
+check('each collision is solved with the iterations requested by its bodies', () => {
+    const box = BodyFactory.rect(100, 350, 40, 40, { positionIterations: 30 });
+    const ball = BodyFactory.circle(300, 370, 20);
+    const engine = withGround([ box, ball ]);
+    const iterations = new Map();
+    engine.on('preSolve', collisions => collisions.forEach(c => {
+        const other = c.body1.isStatic ? c.body2 : c.body1;
+        iterations.set(other, [ c.positionIterations, c.velocityIterations ]);
+    }));
+    steps(engine, 2);
+
+    assert.deepStrictEqual(iterations.get(box), [ 30, 15 ]);
+    assert.deepStrictEqual(iterations.get(ball), [ 10, 15 ]);
+});
+
+check('the iterations of a collision can be changed before solving it', () => {
+    const ball = BodyFactory.circle(300, 300, 20);
+    const engine = withGround([ball]);
+    engine.on('preSolve', collisions => collisions.forEach(c => {
+        c.positionIterations = 0;
+        c.velocityIterations = 0;
+    }));
+    steps(engine, 60);
+
+    // Without solving the collisions, the ball falls through the ground
+    assert(ball.position.y > 400);
+});
+
+check('warm starting keeps a tall stack of boxes still', () => {
+    const stack = (warmStarting) => {
+        const boxes = [];
+        for (let i = 0; i < 8; i++) {
+            boxes.push(BodyFactory.rect(300, 350 - i * 40, 40, 40));
+        }
+        const engine = withGround(boxes, { warmStarting, enableSleeping: false });
+        steps(engine, 300);
+        let maxSpeed = 0;
+        for (let i = 0; i < 300; i++) {
+            steps(engine, 1);
+            maxSpeed = Math.max(maxSpeed, ...boxes.map(b => b.velocity.length()));
+        }
+        return { top: boxes[7], maxSpeed };
+    };
+
+    const warm = stack(1);
+    assert(warm.maxSpeed < 0.01);
+    assert(Math.abs(warm.top.position.x - 320) < 2);
+    assert(warm.top.position.y < 100);
+
+    // Without warm starting, the same stack never stops moving
+    const cold = stack(0);
+    assert(cold.maxSpeed > warm.maxSpeed * 10);
+});
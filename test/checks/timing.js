@@ -0,0 +1,117 @@
+import assert from 'assert';
+import { BodyFactory, Timer, Vector } from '../../src';
+import { global, globalObject } from '../../src/core/util';
+import { check, withGround } from '../check';
+
+check('a fixed timer consumes the elapsed time in steps, keeping the rest as alpha', () => {
+    const timer = new Timer({ fps: 50, maxStepsPerFrame: 5 });
+    const frames = [];
+    let ticks = 0;
+    timer.on('tick', ({ delta, lastDelta }) => {
+        assert.strictEqual(delta, 20);
+        assert.strictEqual(lastDelta, 20);
+        ticks++;
+    });
+    timer.on('frame', ({ alpha }) => frames.push({ ticks, alpha }));
+
+    // The frames are driven by hand, instead of by the animation frames
+    const { _onTick: frame } = timer;
+    timer.start();
+    timer.stop();
+    [ 1000, 1030, 1075, 1078, 3000 ].forEach(frame);
+
+    // The last frame is too late: the time beyond five steps is dropped
+    assert.deepStrictEqual(frames.map(f => f.ticks), [ 1, 2, 4, 4, 9 ]);
+    assert.deepStrictEqual(
+        frames.map(f => Math.round(f.alpha * 100) / 100),
+        [ 0, 0.5, 0.75, 0.9, 0 ]
+    );
+});
+
+check('the bodies are drawn blending the last step with the one before', () => {
+    const ball = BodyFactory.circle(200, 100, 10);
+    const engine = withGround([ball]);
+    engine.update(16);
+    const before = ball.position;
+    engine.update(16);
+    const after = ball.position;
+    assert(after.y > before.y);
+
+    assert.deepStrictEqual(ball.interpolate(0).position, before);
+    assert.deepStrictEqual(ball.interpolate(1).position, after);
+    const { position } = ball.interpolate(0.25);
+    assert(Math.abs(position.y - (before.y + (after.y - before.y) * 0.25)) < 1e-9);
+});
+
+check('the time scale changes the speed of the bodies, and zero freezes them', () => {
+    const ball = BodyFactory.circle(100, 100, 10, { frictionAir: 0 });
+    const engine = withGround([ball], { gravity: new Vector(0, 0) });
+    ball.previousPosition = ball.position.sub(new Vector(2, 0));
+    const advance = (timeScale, count) => {
+        engine.options.timeScale = timeScale;
+        for (let i = 0; i < count; i++) {
+            engine.update(16);
+        }
+    };
+
+    advance(1, 5);
+    assert(Math.abs(ball.position.x - 110) < 1e-9);
+    advance(0.5, 10);
+    assert(Math.abs(ball.position.x - 120) < 1e-9);
+    advance(0, 10);
+    assert(Math.abs(ball.position.x - 120) < 1e-9);
+    advance(0.5, 2);
+    assert(Math.abs(ball.position.x - 122) < 1e-9);
+});
+
+check('a frozen world is drawn where it is, not blended with the last step', () => {
+    const ball = BodyFactory.circle(200, 100, 10);
+    const engine = withGround([ball]);
+    engine.update(16);
+    engine.update(16);
+    engine.options.timeScale = 0;
+    engine.update(16);
+    const { position } = ball.interpolate(0.5);
+    assert.strictEqual(position.y, ball.position.y);
+});
+
+check('a paused timer only performs the steps requested explicitly', () => {
+    const timer = new Timer({ fps: 50 });
+    const events = [];
+    [ 'tick', 'pause', 'resume', 'step' ].forEach(name => timer.on(name, () => events.push(name)));
+    const alphas = [];
+    timer.on('frame', ({ alpha }) => alphas.push(alpha));
+
+    const { _onTick: frame } = timer;
+    timer.start();
+    timer.stop();
+    frame(1000);
+    frame(1030);
+    timer.pause();
+    timer.pause();
+    frame(1100);
+    frame(5000);
+    timer.step(2);
+    timer.resume();
+    frame(5010);
+    frame(5030);
+
+    assert.deepStrictEqual(events, [
+        'tick', 'tick', 'pause', 'tick', 'tick', 'step', 'resume', 'tick'
+    ]);
+    assert.deepStrictEqual(alphas, [ 0, 0.5, 1, 1, 0.5, 0.5 ]);
+});
+
+check('the global object is still exported with its former name', () => {
+    assert.strictEqual(global, globalObject);
+    assert.strictEqual(typeof global.setTimeout, 'function');
+});
+
+check('the bodies are blended from where they were before all the sub-steps', () => {
+    const ball = BodyFactory.circle(200, 100, 10);
+    const engine = withGround([ball], { subSteps: 4 });
+    engine.update(16);
+    const start = ball.position;
+    engine.update(16);
+    assert.deepStrictEqual(ball.interpolate(0).position.toJSON(), start.toJSON());
+});
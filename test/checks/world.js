@@ -0,0 +1,67 @@
+import assert from 'assert';
+import { BodyFactory, DistanceConstraint } from '../../src';
+import { check, withGround, steps } from '../check';
+
+// Records the lifecycle events of an engine
+const record = (engine) => {
+    const events = [];
+    [ 'bodyAdded', 'bodyRemoved', 'constraintAdded', 'constraintRemoved' ].forEach(name => {
+        engine.on(name, object => events.push([ name, object ]));
+    });
+    return events;
+};
+
+check('bodies and constraints are added and removed once, firing their events', () => {
+    const a = BodyFactory.rect(100, 100, 20, 20);
+    const b = BodyFactory.rect(200, 100, 20, 20);
+    const link = new DistanceConstraint({ bodyA: a, bodyB: b });
+    const engine = withGround([]);
+    const events = record(engine);
+
+    engine.add([ a, [ b, link ] ]).add(a);
+    assert.strictEqual(engine.bodies.length, 3);
+    assert.deepStrictEqual(engine.constraints, [link]);
+
+    engine.remove([ a, link ]).remove(a);
+    assert.deepStrictEqual(engine.bodies.slice(1), [b]);
+    assert.strictEqual(engine.constraints.length, 0);
+
+    const [ground] = engine.bodies;
+    engine.clear();
+    assert.strictEqual(engine.bodies.length, 0);
+    assert.deepStrictEqual(events, [
+        [ 'bodyAdded', a ],
+        [ 'bodyAdded', b ],
+        [ 'constraintAdded', link ],
+        [ 'bodyRemoved', a ],
+        [ 'constraintRemoved', link ],
+        [ 'bodyRemoved', ground ],
+        [ 'bodyRemoved', b ]
+    ]);
+    assert.throws(() => engine.add({}));
+});
+
+check('the changes requested during an update are applied at its end', () => {
+    const box = BodyFactory.rect(100, 300, 40, 40);
+    const ball = BodyFactory.circle(300, 100, 10);
+    const engine = withGround([box]);
+    const events = record(engine);
+    let bodiesInUpdate = null;
+
+    engine.once('preUpdate', () => {
+        engine.remove(box).add(ball);
+        assert(engine.bodies.includes(box) && !engine.bodies.includes(ball));
+        assert.strictEqual(events.length, 0);
+    });
+    engine.once('update', () => {
+        bodiesInUpdate = engine.bodies.slice();
+    });
+    steps(engine, 1);
+
+    // The removed box was still simulated, the added ball not yet
+    assert(bodiesInUpdate.includes(box) && !bodiesInUpdate.includes(ball));
+    assert(box.position.y > 320);
+    assert.strictEqual(ball.position.y, 100);
+    assert(!engine.bodies.includes(box) && engine.bodies.includes(ball));
+    assert.deepStrictEqual(events.map(e => e[0]), [ 'bodyRemoved', 'bodyAdded' ]);
+});
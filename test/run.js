@@ -0,0 +1,16 @@
+'use strict';
+
+// Runs the checks in `checks/` with Node, without a browser: `npm test`.
+// The sources are compiled on the fly with the same Babel configuration of the build.
+require('babel-core/register')({ only: /\/(src|test)\// });
+
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./check');
+
+fs.readdirSync(path.join(__dirname, 'checks'))
+    .filter(f => f.endsWith('.js'))
+    .sort()
+    .forEach(f => require(`./checks/${f}`));
+
+process.exitCode = run() ? 0 : 1;